@@ -45,19 +45,21 @@ export class SampleButtonClickField extends BaseField {
 
     /**
      * Sets up custom event listeners for button click field
-     * Overrides BaseField's setupEventListeners for custom click handling
+     * Uses BaseField's selectable widget mode with the whole element as the item,
+     * so clicks, taps and Enter/Space are counted and keyboard focus is tracked
      */
     setupEventListeners() {
-        if (!this.element) {
-            if (this.debug) console.error('Button element not found:', this.element);
-            return;
-        }
+        this.setupSelectableEventListeners();
+    }
 
-        this._addTrackedEventListener(this.element, 'click', () => {
-            this.onFocus();
-            this.clickCount++;
-            this.onChange();
-            this._trackTimer(setTimeout(() => this.onBlur(), 100));
-        });
+    /**
+     * Counts the click
+     * Called by the selectable widget mode before the change is tracked
+     *
+     * @param {HTMLElement} item - The button element
+     */
+    onItemActivate(item) {
+        this.clickCount++;
+        this.logger.debug(`⚡️ BUTTON clicked ${this.clickCount} times (${this.fieldName}):`, item);
     }
 }
@@ -48,25 +48,32 @@ export class SampleRatingField extends BaseField {
 
     /**
      * Sets up custom event listeners for rating field
-     * Overrides BaseField's setupEventListeners for custom star handling
+     * Uses BaseField's selectable widget mode: focusing a star (keyboard), pressing
+     * it (mouse, touch) and activating it (click, tap, Enter/Space) are tracked,
+     * and the session ends when the focus leaves the rating
      */
     setupEventListeners() {
         if (this.stars.length === 0) {
-            if (this.debug) console.error('Rating stars not found:', this.element);
+            this.logger.warn('Rating stars not found:', this.element);
             return;
         }
 
-        // Set up click events on each star using tracked listeners
-        this.stars.forEach((star, index) => {
-            this._addTrackedEventListener(star, 'click', () => {
-                this.handleStarClick(index + 1);
-            });
-        });
+        this.setupSelectableEventListeners('.star-full');
+    }
+
+    /**
+     * Handles star activation
+     * Called by the selectable widget mode before the change is tracked
+     *
+     * @param {HTMLElement} star - Activated star
+     */
+    onItemActivate(star) {
+        this.handleStarClick(Array.from(this.stars).indexOf(star) + 1);
     }
 
     /**
      * Handles star click events
-     * Tracks rating changes and deletions (rating decreases)
+     * Tracks rating decreases as deletions
      *
      * @param {number} rating - New rating value
      */
@@ -74,25 +81,14 @@ export class SampleRatingField extends BaseField {
         const prevRating = this.lastRating;
         const newRating = rating === prevRating ? 0 : rating;
 
-        if (this.debug) console.log(`⚡️ RATING changed from ${prevRating} to ${newRating} (${this.fieldName})`);
-        // Simulate focus if this is the first interaction with the form
-        this.onFocus();
+        this.logger.debug(`⚡️ RATING changed from ${prevRating} to ${newRating} (${this.fieldName})`);
         // Update stored rating for next click
         this.lastRating = newRating;
 
-        // Always track as change since something happened
-        this.onChange();
-
         // Track rating changes as "deletions" if the rating decreased
         if (newRating < prevRating) {
             this.trackDeletion();
-            if (this.debug) console.log(`⚡️ RATING decreased from ${prevRating} to ${newRating} (${this.fieldName})`);
+            this.logger.debug(`⚡️ RATING decreased from ${prevRating} to ${newRating} (${this.fieldName})`);
         }
-
-        // Simulate blur after a short delay to complete
-        // the focus → change → blur cycle using tracked timer
-        this._trackTimer(setTimeout(() => {
-            this.onBlur();
-        }, 100));
     }
 }
@@ -5,7 +5,7 @@ import { SampleRatingField } from './SampleRatingField.js';
 
 // Initialize custom field tracking for unsupported field types
 FormAnalyticsCustomFieldTracker.init([
-    { fieldType: 'SampleWysiwygField', FieldClass: SampleWysiwygField },
-    { fieldType: 'SampleButtonClickField', FieldClass: SampleButtonClickField },
-    { fieldType: 'SampleRatingField', FieldClass: SampleRatingField },
+    { fieldType: 'wysiwyg', FieldClass: SampleWysiwygField },
+    { fieldType: 'buttonClick', FieldClass: SampleButtonClickField },
+    { fieldType: 'rating', FieldClass: SampleRatingField },
 ], true); // Enable debug logging
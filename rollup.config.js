@@ -1,19 +1,47 @@
+const fs = require('fs');
+const path = require('path');
 const { nodeResolve } = require('@rollup/plugin-node-resolve');
 const babel = require('@rollup/plugin-babel');
 const terser = require('@rollup/plugin-terser');
 
 const isProduction = process.env.NODE_ENV === 'production';
 
+// Built-in fields, each built as its own entry (fields/RatingField, ...) sharing chunks with the main entry
+const fieldNames = fs.readdirSync(path.join(__dirname, 'src/fields'))
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .map(file => path.basename(file, '.js'));
+
+const input = {
+    index: 'src/index.js',
+    'fields/index': 'src/fields/index.js',
+    ...Object.fromEntries(fieldNames.map(name => [`fields/${name}`, `src/fields/${name}.js`]))
+};
+
+// Type definitions: the main declarations, re-exported by every field entry
+const typeDefinitions = () => ({
+    name: 'type-definitions',
+    generateBundle() {
+        this.emitFile({ type: 'asset', fileName: 'index.d.ts', source: fs.readFileSync('src/index.d.ts', 'utf8') });
+        this.emitFile({ type: 'asset', fileName: 'fields/index.d.ts', source: `export { ${fieldNames.join(', ')} } from '../index';\n` });
+        fieldNames.forEach((name) => {
+            this.emitFile({ type: 'asset', fileName: `fields/${name}.d.ts`, source: `export { ${name} } from '../index';\n` });
+        });
+    }
+});
+
 module.exports = [
     // ESM build
     {
-        input: 'src/index.js',
+        input,
         output: {
-            file: 'dist/index.esm.js',
+            dir: 'dist',
             format: 'esm',
+            entryFileNames: '[name].esm.js',
+            chunkFileNames: 'chunks/[name]-[hash].esm.js',
             sourcemap: !isProduction
         },
         plugins: [
+            typeDefinitions(),
             nodeResolve(),
             babel({
                 babelHelpers: 'bundled',
@@ -31,10 +59,12 @@ module.exports = [
     },
     // CommonJS build
     {
-        input: 'src/index.js',
+        input,
         output: {
-            file: 'dist/index.js',
+            dir: 'dist',
             format: 'cjs',
+            entryFileNames: '[name].js',
+            chunkFileNames: 'chunks/[name]-[hash].js',
             exports: 'named',
             sourcemap: !isProduction
         },
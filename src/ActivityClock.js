@@ -0,0 +1,274 @@
+import { PauseReasons, isValidPauseReason } from './Enums/PauseReasons.js';
+import { getLogger } from './Logger.js';
+
+/**
+ * Document events counting as user activity for idle detection
+ */
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'input', 'wheel', 'scroll', 'touchstart'];
+
+/**
+ * First reading of a clock
+ * Fields use their timestamps as "is focused" flags, so a reading is never 0
+ */
+const CLOCK_ORIGIN = 1;
+
+/**
+ * Reads the monotonic high resolution time, immune to wall-clock changes
+ *
+ * @returns {number} Milliseconds, performance.now() where available
+ */
+function getHighResolutionTime() {
+    return typeof performance !== 'undefined' && typeof performance.now === 'function'
+        ? performance.now()
+        : Date.now();
+}
+
+/**
+ * ActivityClock Class
+ *
+ * Measures the time a user actually spends on the page. Readings only advance
+ * while the page is visible, the window is focused and the user was active
+ * within the idle timeout, so differences between two readings exclude the time
+ * spent in another tab or away from the keyboard.
+ *
+ * The first idleTimeout milliseconds without input still count (reading a
+ * question is time spent on it); only the rest of the idle period is excluded.
+ *
+ * @class ActivityClock
+ */
+export class ActivityClock {
+    /**
+     * Creates a new ActivityClock instance
+     *
+     * @param {Logger} [logger] - Logger for pause and resume messages
+     * @param {Function} [now] - Monotonic time source in milliseconds
+     */
+    constructor(logger = getLogger().child('clock'), now = getHighResolutionTime) {
+        this.logger = logger;
+        this.idleTimeout = 0;
+        this.pauseWhenHidden = true;
+        this._now = now;
+        // Active time accumulated before the current running period
+        this._elapsed = 0;
+        this._runningSince = now();
+        this._pauseReasons = new Set();
+        this._lastActivity = now();
+        this._idleTimer = null;
+        this._window = null;
+        this._listeners = [];
+    }
+
+    /**
+     * Applies the timing options
+     *
+     * @param {Object} options - Timing options
+     * @param {number} [options.idleTimeout] - Milliseconds without input before pausing, 0 disables
+     * @param {boolean} [options.pauseWhenHidden] - Pause while the page is hidden or the window unfocused
+     */
+    configure({ idleTimeout = 0, pauseWhenHidden = true } = {}) {
+        this.idleTimeout = idleTimeout > 0 ? idleTimeout : 0;
+        this.pauseWhenHidden = pauseWhenHidden;
+
+        if (!pauseWhenHidden) {
+            this.resume(PauseReasons.HIDDEN);
+            this.resume(PauseReasons.BLUR);
+        } else if (this._window) {
+            this._syncVisibility();
+        }
+
+        this._clearIdleTimer();
+        if (!this.idleTimeout) {
+            this.resume(PauseReasons.IDLE);
+        } else if (this._window) {
+            this._checkIdle();
+        }
+    }
+
+    /**
+     * Listens to the page visibility, window focus and user input
+     * Does nothing if the clock is already started or there is no window
+     *
+     * @param {Window} [win] - Window to listen to
+     */
+    start(win = typeof window !== 'undefined' ? window : null) {
+        if (this._window || !win) return;
+
+        this._window = win;
+        const listen = (target, event, handler) => {
+            target.addEventListener(event, handler, { capture: true, passive: true });
+            this._listeners.push(() => target.removeEventListener(event, handler, { capture: true }));
+        };
+
+        listen(win.document, 'visibilitychange', () => this._syncVisibility());
+        // Capturing on the window also catches the blur/focus of every element
+        listen(win, 'blur', event => event.target === win && this._onWindowBlur());
+        listen(win, 'focus', event => event.target === win && this._onWindowFocus());
+        ACTIVITY_EVENTS.forEach(event => listen(win.document, event, () => this.markActivity()));
+
+        this._syncVisibility();
+        this.markActivity();
+    }
+
+    /**
+     * Removes the listeners and the idle timer, and resumes the clock
+     */
+    stop() {
+        this._listeners.forEach(remove => remove());
+        this._listeners = [];
+        this._window = null;
+        this._clearIdleTimer();
+        Array.from(this._pauseReasons).forEach(reason => this.resume(reason));
+    }
+
+    /**
+     * Reads the clock
+     * @returns {number} Active milliseconds, comparable with other readings of this clock
+     */
+    now() {
+        const running = this._runningSince === null ? 0 : this._sample() - this._runningSince;
+        return CLOCK_ORIGIN + this._elapsed + running;
+    }
+
+    /**
+     * Whether the clock is paused
+     * @returns {boolean} True if at least one pause reason applies
+     */
+    isPaused() {
+        return this._pauseReasons.size > 0;
+    }
+
+    /**
+     * Gets the reasons the clock is paused for
+     * @returns {string[]} PauseReasons values
+     */
+    getPauseReasons() {
+        return Array.from(this._pauseReasons);
+    }
+
+    /**
+     * Stops counting time for a reason
+     * The clock runs again once every reason is resumed
+     * @param {string} reason - One of PauseReasons
+     */
+    pause(reason) {
+        if (!isValidPauseReason(reason) || this._pauseReasons.has(reason)) return;
+
+        if (!this.isPaused()) {
+            this._elapsed += this._sample() - this._runningSince;
+            this._runningSince = null;
+        }
+        this._pauseReasons.add(reason);
+        this.logger.debug(`⏸️ Paused time tracking (${reason})`);
+    }
+
+    /**
+     * Ends a pause reason
+     * @param {string} reason - One of PauseReasons
+     */
+    resume(reason) {
+        if (!this._pauseReasons.delete(reason)) return;
+
+        if (!this.isPaused()) {
+            this._runningSince = this._sample();
+        }
+        this.logger.debug(`▶️ Resumed time tracking (${reason})`);
+    }
+
+    /**
+     * Records user input, ending an idle pause
+     * Called by the document listeners and by fields for input the document doesn't see
+     * (e.g. editors in iframes)
+     */
+    markActivity() {
+        this._lastActivity = this._sample();
+        this.resume(PauseReasons.IDLE);
+
+        // Idle detection needs the document listeners, it only runs once started
+        if (this.idleTimeout && this._window && !this._idleTimer) {
+            this._checkIdle();
+        }
+    }
+
+    /**
+     * Reads the time source, never going back before the current running period
+     * @private
+     * @returns {number} Milliseconds
+     */
+    _sample() {
+        const time = this._now();
+        if (this._runningSince !== null && time < this._runningSince) {
+            this._runningSince = time;
+        }
+        if (time < this._lastActivity) {
+            this._lastActivity = time;
+        }
+
+        return time;
+    }
+
+    /**
+     * Pauses if the idle timeout elapsed since the last input, otherwise checks again when it would
+     * @private
+     */
+    _checkIdle() {
+        const remaining = this.idleTimeout - (this._sample() - this._lastActivity);
+        if (remaining <= 0) {
+            this.pause(PauseReasons.IDLE);
+            return;
+        }
+
+        this._idleTimer = setTimeout(() => {
+            this._idleTimer = null;
+            this._checkIdle();
+        }, remaining);
+    }
+
+    /**
+     * Clears the pending idle check
+     * @private
+     */
+    _clearIdleTimer() {
+        if (this._idleTimer) {
+            clearTimeout(this._idleTimer);
+            this._idleTimer = null;
+        }
+    }
+
+    /**
+     * Pauses or resumes with the page visibility
+     * @private
+     */
+    _syncVisibility() {
+        if (!this.pauseWhenHidden || !this._window) return;
+
+        if (this._window.document.visibilityState === 'hidden') {
+            this.pause(PauseReasons.HIDDEN);
+        } else if (this._pauseReasons.has(PauseReasons.HIDDEN)) {
+            this.resume(PauseReasons.HIDDEN);
+            this.markActivity();
+        }
+    }
+
+    /**
+     * Pauses when the window loses the focus
+     * Focus moving into an iframe of the page (e.g. an editor) blurs the window too, and is ignored
+     * @private
+     */
+    _onWindowBlur() {
+        if (!this.pauseWhenHidden) return;
+
+        const active = this._window.document.activeElement;
+        if (active && active.tagName === 'IFRAME') return;
+
+        this.pause(PauseReasons.BLUR);
+    }
+
+    /**
+     * Resumes when the window gets the focus back
+     * @private
+     */
+    _onWindowFocus() {
+        this.resume(PauseReasons.BLUR);
+        this.markActivity();
+    }
+}
@@ -1,5 +1,98 @@
 import { FieldCategories } from './Enums/FieldCategories.js';
-import { getDebugMode } from './FormAnalyticsCustomFieldTracker.js';
+import { TrackerEvents } from './Enums/TrackerEvents.js';
+import { EventEmitter } from './EventEmitter.js';
+import { LogLevels } from './Enums/LogLevels.js';
+import { InputKinds, INPUT_TYPE_KINDS } from './Enums/InputKinds.js';
+import { getLogger } from './Logger.js';
+import { DEFAULT_VALUE_CAPTURE, formatCapturedValue } from './ValueCapture.js';
+import { SENSITIVE_ATTRIBUTE } from './Privacy.js';
+import {
+    ValidationErrorCodes,
+    DEFAULT_VALIDATION_ERROR_SELECTOR,
+    DEFAULT_VALIDATION_SCOPE_SELECTOR
+} from './Enums/ValidationErrorCodes.js';
+import { querySelectorDeep, querySelectorAllDeep, containsDeep, getEventTarget } from './ShadowDom.js';
+
+/**
+ * Gets the document of a same-origin iframe
+ *
+ * @param {HTMLIFrameElement} iframe - Iframe element
+ * @returns {Document|null} Iframe document, null while unavailable or cross-origin
+ */
+function getFrameDocument(iframe) {
+    try {
+        return iframe.contentDocument || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Creates zeroed counters for every input kind
+ *
+ * @returns {Object<string, number>} Count per InputKinds value
+ */
+function createInputCounts() {
+    return Object.fromEntries(Object.values(InputKinds).map(kind => [kind, 0]));
+}
+
+/**
+ * Whether the browser marks an element as autofilled
+ *
+ * @param {EventTarget|null} element - Input element
+ * @returns {boolean} True if the element matches :autofill or :-webkit-autofill
+ */
+function isAutofilled(element) {
+    if (!element || typeof element.matches !== 'function') return false;
+
+    return [':autofill', ':-webkit-autofill'].some((selector) => {
+        try {
+            return element.matches(selector);
+        } catch (e) {
+            return false;
+        }
+    });
+}
+
+/**
+ * Elements whose keyboard activation already dispatches a click (or a change)
+ */
+const NATIVE_ACTIVATION_SELECTOR = 'button, input, select, textarea, a[href], label, summary';
+
+/**
+ * Attribute holding the code of an error container or an aria-invalid element
+ */
+const ERROR_CODE_ATTRIBUTE = 'data-matomo-error';
+
+/**
+ * Attributes that show, hide or flag validation errors
+ */
+const VALIDATION_ATTRIBUTES = ['aria-invalid', 'hidden', 'class', 'style', ERROR_CODE_ATTRIBUTE];
+
+/**
+ * Clock of fields not integrated by a tracker: wall-clock time, never paused
+ * Integrated fields use the ActivityClock of their tracker, started and stopped with it
+ */
+const WALL_CLOCK = {
+    now: () => Date.now(),
+    markActivity: () => {}
+};
+
+/**
+ * Keys moving between the items of a selectable widget
+ */
+const ITEM_NAVIGATION_KEYS = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End'];
+
+/**
+ * Window in which repeated activations of the same item count once
+ * (a label click forwarded to its input, the change event following a click)
+ */
+const ACTIVATION_DEDUPE_MS = 50;
+
+/**
+ * Delay before a selectable widget whose items can't be focused ends its focus session, in ms
+ */
+const SELECTABLE_BLUR_DELAY = 100;
 
 /**
  * BaseField Class
@@ -17,6 +110,102 @@ export class BaseField {
      */
     static FieldCategories = FieldCategories;
 
+    /**
+     * Named inner selectors used by the field implementation (e.g. editor, star, image)
+     * Subclasses declare their defaults here so they can be overridden with configure()
+     * @static
+     */
+    static selectors = {};
+
+    /**
+     * What to do when the field's element is removed from the form
+     * One of RemovalPolicies; null uses the tracker-wide policy
+     * @static
+     */
+    static removalPolicy = null;
+
+    /**
+     * Priority when an element matches the selectors of several field classes
+     * The highest priority wins; on a tie the class registered first wins
+     * @static
+     */
+    static priority = 0;
+
+    /**
+     * What to do when the field's element wraps native inputs Matomo already tracks
+     * One of NativeFieldPolicies; null uses the tracker-wide policy
+     * @static
+     */
+    static nativeFieldPolicy = null;
+
+    /**
+     * Whether pastes, drops, undos, redos and autofills count as changes of their own
+     * and cuts as deletions; null uses the tracker-wide foldInputCounts option
+     * @static
+     */
+    static foldInputCounts = null;
+
+    /**
+     * Opt-in value capture settings, null leaves values out of analytics
+     * { mode, historyLimit, salt, buckets }, see DEFAULT_VALUE_CAPTURE and ValueCaptureModes
+     * @static
+     */
+    static valueCapture = null;
+
+    /**
+     * Whether the field holds sensitive content (e.g. a signature, a medical note)
+     * Sensitive fields report engagement only: a size of 0 and no captured values.
+     * Single elements can be marked with data-matomo-sensitive
+     * @static
+     */
+    static sensitive = false;
+
+    /**
+     * Creates a configured subclass with overridden static properties
+     * Keeps the original class untouched so several variants can be registered side by side
+     *
+     * @example
+     * const SurveyRating = RatingField.configure({
+     *     fieldType: 'surveyRating',
+     *     selector: '.survey-rating[data-name]',
+     *     star: '.survey-rating__star'
+     * });
+     *
+     * @static
+     * @param {Object} [overrides] - fieldType, category, selector, priority, nativeFieldPolicy,
+     *        removalPolicy, valueCapture, sensitive and any named inner selectors
+     * @returns {typeof BaseField} Configured subclass
+     */
+    static configure({
+        fieldType,
+        category,
+        selector,
+        priority,
+        nativeFieldPolicy,
+        removalPolicy,
+        valueCapture,
+        sensitive,
+        ...selectors
+    } = {}) {
+        const Parent = this;
+        const Configured = class extends Parent {
+            static fieldType = fieldType || Parent.fieldType;
+            static category = category || Parent.category;
+            static selector = selector || Parent.selector;
+            static selectors = { ...Parent.selectors, ...selectors };
+            static priority = priority ?? Parent.priority;
+            static nativeFieldPolicy = nativeFieldPolicy || Parent.nativeFieldPolicy;
+            static removalPolicy = removalPolicy || Parent.removalPolicy;
+            static valueCapture = valueCapture === undefined ? Parent.valueCapture : valueCapture;
+            static sensitive = sensitive ?? Parent.sensitive;
+        };
+
+        // Keep the parent's name for readable error and debug messages
+        Object.defineProperty(Configured, 'name', { value: Parent.name });
+
+        return Configured;
+    }
+
     /**
      * Creates a new BaseField instance
      *
@@ -48,6 +237,19 @@ export class BaseField {
         this.numFocus = 0;
         this.numDeletes = 0;
         this.numCursor = 0;
+        // Counts per InputKinds value, reported alongside Matomo's counters
+        this.inputCounts = createInputCounts();
+        this.isComposing = false;
+        // Set by a beforeinput announcing replacement text, see handleInput()
+        this._hasAnnouncedReplacement = false;
+        // Recorded values (most recent last) and changes of the recorded value, see captureValue()
+        this.valueHistory = [];
+        this.numValueChanges = 0;
+        // Validation errors, in total and per code, see reportValidationError()
+        this.numValidationErrors = 0;
+        this.validationErrors = {};
+        this._validationSignature = null;
+        this._hasValidationObserver = false;
         this.canCountChange = true;
         this.isFocusedCausedAuto = false;
         this.hasChangedValueSinceFocus = false;
@@ -57,7 +259,10 @@ export class BaseField {
 
         // Store references for field-specific implementations
         this.element = element;
-        this.debug = getDebugMode();
+        // Namespaced per field type, replaced by the owning tracker's logger once integrated
+        this.logger = getLogger().child(fieldType);
+        // Source of the focus and change timestamps, replaced by the owning tracker's clock once integrated
+        this.clock = WALL_CLOCK;
 
         // Cleanup tracking
         this._eventListeners = new Map();
@@ -66,7 +271,97 @@ export class BaseField {
         this._mutationObserver = null;
         this._mutationObservers = new Set();
         this._isDestroyed = false;
+        // Sensitivity at destroy time, see isSensitive()
+        this._wasSensitive = false;
         this._delayedBlurTimer = null;
+        // Selectable widget mode state
+        this._hasFocusWithin = false;
+        this._lastActivation = null;
+        // Last tracking params, frozen when the field is retired
+        this._retiredTrackingParams = null;
+
+        // Field event bus; events are forwarded to the tracker's bus once integrated
+        this._events = new EventEmitter((error, event) => {
+            this.logger.error(`Error in ${event} handler of ${this.fieldName}:`, error);
+        });
+        this._trackerEvents = null;
+        this._ownerOptions = null;
+    }
+
+    /**
+     * Whether debug logging is enabled
+     * Follows the logger level, so it reflects runtime level changes
+     * @returns {boolean} True if DEBUG messages are output
+     */
+    get debug() {
+        return this.logger.isLevelEnabled(LogLevels.DEBUG);
+    }
+
+    /**
+     * Enables or disables debug logging, like the debug flag fields used to have
+     * Sets the level of the field's logger, which its root and siblings share
+     * @param {boolean} enabled - DEBUG level if true, SILENT otherwise
+     */
+    set debug(enabled) {
+        this.logger.setLevel(enabled ? LogLevels.DEBUG : LogLevels.SILENT);
+    }
+
+    /**
+     * Subscribes to an event of this field
+     *
+     * @param {string} event - Event name (see TrackerEvents)
+     * @param {Function} handler - Receives the event payload ({ field, ... })
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, handler) {
+        return this._events.on(event, handler);
+    }
+
+    /**
+     * Subscribes to the next occurrence of an event of this field
+     *
+     * @param {string} event - Event name (see TrackerEvents)
+     * @param {Function} handler - Receives the event payload ({ field, ... })
+     * @returns {Function} Unsubscribe function
+     */
+    once(event, handler) {
+        return this._events.once(event, handler);
+    }
+
+    /**
+     * Unsubscribes from an event of this field
+     *
+     * @param {string} event - Event name
+     * @param {Function} [handler] - Handler passed to on()
+     */
+    off(event, handler) {
+        this._events.off(event, handler);
+    }
+
+    /**
+     * Emits an event on the field and forwards it to the tracker's bus
+     * @private
+     * @param {string} event - Event name (see TrackerEvents)
+     * @param {Object} [detail] - Additional payload properties
+     */
+    _emit(event, detail = {}) {
+        const payload = { field: this, ...detail };
+        this._events.emit(event, payload);
+        this._trackerEvents && this._trackerEvents.emit(event, payload);
+    }
+
+    /**
+     * Binds the field to the tracker instance that integrated it
+     * Uses the owner's logger and forwards the field's events to the owner's bus
+     * @private
+     * @param {CustomFieldTracker} owner - Tracker instance creating the field
+     */
+    _bindOwner(owner) {
+        this.logger = owner.logger.child(this.fieldType);
+        this.clock = owner.clock;
+        this._trackerEvents = owner.events;
+        // Read lazily, configure() replaces the owner's options object
+        this._ownerOptions = () => owner.options;
     }
 
     /**
@@ -89,6 +384,70 @@ export class BaseField {
         this._eventListeners.get(key).push({ element, event, handler, options });
     }
 
+    /**
+     * Removes the tracked event listeners matching a predicate
+     * @private
+     * @param {Function} predicate - (element, event) => boolean
+     */
+    _removeTrackedEventListeners(predicate) {
+        for (const [key, listeners] of this._eventListeners) {
+            const kept = listeners.filter(({ element, event, handler, options }) => {
+                if (!predicate(element, event)) return true;
+
+                element.removeEventListener(event, handler, options);
+                return false;
+            });
+
+            if (kept.length > 0) {
+                this._eventListeners.set(key, kept);
+            } else {
+                this._eventListeners.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Binds listeners inside the document of a same-origin iframe, e.g. a classic
+     * TinyMCE or CKEditor 4 editing area
+     * setup runs now when the document is accessible and again every time the iframe
+     * loads; the tracked listeners of the previous document are removed first
+     *
+     * @param {HTMLIFrameElement} iframe - Iframe hosting the interactive element
+     * @param {Function} setup - (frameDocument, iframe) => void, adds listeners with _addTrackedEventListener()
+     * @returns {boolean} True if the iframe document was accessible now
+     */
+    bindFrameDocument(iframe, setup) {
+        let boundDocument = null;
+
+        const bind = () => {
+            if (boundDocument) {
+                const previous = boundDocument;
+                this._removeTrackedEventListeners(element => (
+                    element === previous || element === previous.defaultView || element.ownerDocument === previous
+                ));
+                boundDocument = null;
+            }
+
+            const frameDocument = getFrameDocument(iframe);
+            if (!frameDocument) {
+                this.logger.warn(`${this.fieldType.toUpperCase()} iframe document is not accessible (cross-origin?):`, iframe);
+                return false;
+            }
+
+            boundDocument = frameDocument;
+            setup(frameDocument, iframe);
+            this.logger.debug(`🪟 ${this.fieldType.toUpperCase()} bound to iframe document (${this.fieldName})`);
+            return true;
+        };
+
+        // Reloading the iframe replaces its document and drops the listeners bound to it
+        this._addTrackedEventListener(iframe, 'load', () => {
+            if (!this._isDestroyed) bind();
+        });
+
+        return bind();
+    }
+
     /**
      * Helper method to track timers for cleanup
      * @private
@@ -153,7 +512,7 @@ export class BaseField {
      */
     trackFirstInteraction() {
         if (!this.firstInteractionTime) {
-            this.firstInteractionTime = Date.now();
+            this.firstInteractionTime = this.clock.now();
             this.onFocus();
             return true;
         }
@@ -170,7 +529,7 @@ export class BaseField {
 
         this._delayedBlurTimer = this._trackTimer(setTimeout(() => {
             if (this.hasChangedValueSinceFocus && this.startFocus) {
-                this.timeLastChange = Date.now();
+                this.timeLastChange = this.clock.now();
             }
 
             this._delayedBlurTimer = null;
@@ -191,6 +550,197 @@ export class BaseField {
         }
     }
 
+    /**
+     * Finds the first element matching a selector in the field element,
+     * including its open shadow roots (web components)
+     * @param {string} selector - CSS selector
+     * @returns {Element|null} Matching element
+     */
+    query(selector) {
+        return querySelectorDeep(this.element, selector);
+    }
+
+    /**
+     * Finds all elements matching a selector in the field element,
+     * including its open shadow roots (web components)
+     * @param {string} selector - CSS selector
+     * @returns {Element[]} Matching elements
+     */
+    queryAll(selector) {
+        return querySelectorAllDeep(this.element, selector);
+    }
+
+    /**
+     * Whether a node belongs to the field, looking through open shadow roots
+     * @param {Node|null} target - Node to check (e.g. the relatedTarget of a focus event)
+     * @returns {boolean} True if the node is inside one of the field's nodes
+     */
+    containsNode(target) {
+        return Boolean(target) && this.nodes.some(node => containsDeep(node, target));
+    }
+
+    /**
+     * Gets the element an event originated from, inside open shadow roots included
+     * Use it in delegated listeners instead of event.target, which is retargeted to the host
+     * @param {Event} event - DOM event
+     * @returns {EventTarget|null} Originating element
+     */
+    getEventTarget(event) {
+        return getEventTarget(event);
+    }
+
+    /**
+     * Sets up the selectable widget mode, for click-based widgets such as ratings,
+     * image selectors or button groups
+     * - real focus within the field (tabbing to an item) opens the focus session,
+     *   a pointer (mouse, touch, pen) pressing an item opens it for items that can't be focused
+     * - clicks, taps, Enter/Space on items and selection changes of native inputs activate an item
+     * - the session ends on a real focusout; items that never get the focus fall back
+     *   to a delayed blur after their activation, which doesn't count the delay as time spent
+     *
+     * Delegation keeps working when the items are re-rendered, and pointer, touch and
+     * keyboard users get real focus sessions.
+     *
+     * @param {string|Function|null} [item] - Selector of the items, (target) => item function,
+     *        or null to treat the whole field element as a single item
+     */
+    setupSelectableEventListeners(item = null) {
+        const getItem = (event) => {
+            const target = this.getEventTarget(event);
+            if (typeof item === 'function') return item(target);
+            if (typeof item === 'string') {
+                const match = target && target.closest ? target.closest(item) : null;
+                return match && this.containsNode(match) ? match : null;
+            }
+
+            return this.containsNode(target) ? this.element : null;
+        };
+
+        this._addTrackedEventListener(this.element, 'focusin', () => {
+            this.cancelDelayedBlur();
+            this._hasFocusWithin = true;
+            if (!this.startFocus) this.onFocus();
+        });
+
+        this._addTrackedEventListener(this.element, 'focusout', (event) => {
+            if (this.containsNode(event.relatedTarget)) return;
+
+            this._hasFocusWithin = false;
+            if (event.relatedTarget) {
+                this.cancelDelayedBlur();
+                this._endSelectableSession();
+                return;
+            }
+            // No destination: pressing an item that can't be focused may follow
+            this._scheduleSelectableBlur();
+        });
+
+        this._addTrackedEventListener(this.element, 'pointerdown', (event) => {
+            if (!getItem(event)) return;
+
+            this.cancelDelayedBlur();
+            if (!this.startFocus) this.onFocus();
+        });
+
+        // Covers mouse clicks, taps and Enter/Space on native controls
+        this._addTrackedEventListener(this.element, 'click', (event) => {
+            const activated = getItem(event);
+            if (activated) this.activateItem(activated, event);
+        });
+
+        // Native inputs changed without a click, e.g. arrow keys in a radio group
+        this._addTrackedEventListener(this.element, 'change', (event) => {
+            const activated = getItem(event);
+            if (activated) this.activateItem(activated, event);
+        });
+
+        this._addTrackedEventListener(this.element, 'keydown', (event) => {
+            const activated = getItem(event);
+            if (!activated) return;
+
+            if (ITEM_NAVIGATION_KEYS.includes(event.key)) {
+                this.trackCursorMovement();
+                return;
+            }
+
+            const target = this.getEventTarget(event);
+            const isNative = target && target.matches && target.matches(NATIVE_ACTIVATION_SELECTOR);
+            if ((event.key === 'Enter' || event.key === ' ') && !isNative) {
+                // Keep Space from scrolling the page, like it does on native controls
+                event.preventDefault();
+                this.activateItem(activated, event);
+            }
+        });
+    }
+
+    /**
+     * Activates an item of a selectable widget
+     * Every activation counts as a change, like selecting another native radio
+     *
+     * @param {HTMLElement} item - Activated item
+     * @param {Event} event - Event that activated it
+     */
+    activateItem(item, event) {
+        const now = Date.now();
+        const last = this._lastActivation;
+        if (last && last.item === item && now - last.time < ACTIVATION_DEDUPE_MS) return;
+        this._lastActivation = { item, time: now };
+
+        this.cancelDelayedBlur();
+        if (!this.startFocus) this.onFocus();
+
+        this.canCountChange = true;
+        this.onItemActivate(item, event);
+        this.onChange();
+
+        // Items that never get the focus won't end the session with a focusout
+        if (!this._hasFocusWithin) {
+            this._scheduleSelectableBlur();
+        }
+    }
+
+    /**
+     * Hook called when an item of a selectable widget is activated, before the change is tracked
+     * Overrides also receive the activating event as second argument
+     * @param {HTMLElement} item - Activated item
+     */
+    onItemActivate(item) {
+        this.logger.debug(`⚡️ ${this.fieldType.toUpperCase()} item activated (${this.fieldName}):`, item);
+    }
+
+    /**
+     * Ends the focus session of a selectable widget after a delay, unless it goes on
+     * The session ends when the fallback was scheduled: the delay only waits for
+     * a press on another item and isn't time spent in the field
+     * @private
+     */
+    _scheduleSelectableBlur() {
+        const endTime = this.clock.now();
+
+        this.cancelDelayedBlur();
+        this._delayedBlurTimer = this._trackTimer(setTimeout(() => {
+            this._delayedBlurTimer = null;
+            if (this.startFocus && !this.hasChangedValueSinceFocus) {
+                this.startFocus += this.clock.now() - endTime;
+            }
+
+            this.onBlur();
+        }, SELECTABLE_BLUR_DELAY));
+    }
+
+    /**
+     * Ends the focus session of a selectable widget when the focus leaves it
+     * The session lasts until the focus left, like scheduleDelayedBlur()
+     * @private
+     */
+    _endSelectableSession() {
+        if (this.hasChangedValueSinceFocus && this.startFocus) {
+            this.timeLastChange = this.clock.now();
+        }
+
+        this.onBlur();
+    }
+
     /**
      * Abstract method: Gets the interactive element for this field
      * Must be implemented by subclasses to define their interactive element
@@ -250,25 +800,35 @@ export class BaseField {
         const interactiveElement = this.getInteractiveElement();
 
         if (!interactiveElement) {
-            this.debug && console.error(`${this.fieldType.toUpperCase()} interactive element not found:`, this.element);
+            this.logger.warn(`${this.fieldType.toUpperCase()} interactive element not found:`, this.element);
             return;
         }
 
+        // Focus moving between controls inside a shadow root is retargeted to its host
+        // as a blur and a focus; the relatedTarget then stays inside the element
+        const isMovingWithin = event => Boolean(event.relatedTarget) && containsDeep(interactiveElement, event.relatedTarget);
+
         // Focus event
-        this._addTrackedEventListener(interactiveElement, 'focus', () => {
+        this._addTrackedEventListener(interactiveElement, 'focus', (event) => {
+            if (this.startFocus && isMovingWithin(event)) return;
             this.onFocus();
         });
 
         // Blur event
-        this._addTrackedEventListener(interactiveElement, 'blur', () => {
+        this._addTrackedEventListener(interactiveElement, 'blur', (event) => {
+            if (isMovingWithin(event)) return;
             this.onBlur();
         });
 
-        // Input event (typing)
-        this._addTrackedEventListener(interactiveElement, 'input', () => {
+        // Input event (typing, autofill)
+        this._addTrackedEventListener(interactiveElement, 'input', (event) => {
+            this.handleInput(event);
             this.onChange();
         });
 
+        // Paste, cut, drop, undo, redo and IME composition
+        this._addInputKindListeners(interactiveElement);
+
         // Keydown event (cursor movements, deletions)
         this._addTrackedEventListener(interactiveElement, 'keydown', (event) => {
             this.handleKeydown(event);
@@ -277,7 +837,7 @@ export class BaseField {
         // Click event (cursor movements)
         this._addTrackedEventListener(interactiveElement, 'click', () => {
             this.trackCursorMovement();
-            this.debug && console.log(`⚡️ ${this.fieldType.toUpperCase()} click:`, this.fieldName);
+            this.logger.debug(`⚡️ ${this.fieldType.toUpperCase()} click:`, this.fieldName);
         });
     }
 
@@ -287,20 +847,112 @@ export class BaseField {
      * @param {KeyboardEvent} event - Keyboard event object
      */
     handleKeydown(event) {
+        // Keys pressed in iframe documents don't reach the page's idle detection
+        this.clock.markActivity();
+
         // Track cursor movements
         const cursorKeys = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End', 'PageUp', 'PageDown'];
         if (cursorKeys.includes(event.key)) {
             this.trackCursorMovement();
-            this.debug && console.log(`${this.fieldType.toUpperCase()} cursor movement:`, event.key);
+            this.logger.debug(`${this.fieldType.toUpperCase()} cursor movement:`, event.key);
         }
 
         // Track deletions
         if (event.key === 'Backspace' || event.key === 'Delete') {
             this.trackDeletion();
-            this.debug && console.log(`${this.fieldType.toUpperCase()} deletion:`, event.key);
+            this.logger.debug(`${this.fieldType.toUpperCase()} deletion:`, event.key);
+        }
+    }
+
+    /**
+     * Sets up the beforeinput and composition listeners counting input kinds
+     * @private
+     * @param {EventTarget} element - Element receiving the input events
+     * @param {Function} [accepts] - (event) => boolean, filters delegated events
+     */
+    _addInputKindListeners(element, accepts = () => true) {
+        this._addTrackedEventListener(element, 'beforeinput', (event) => {
+            if (accepts(event)) this.handleBeforeInput(event);
+        });
+
+        this._addTrackedEventListener(element, 'compositionstart', (event) => {
+            if (accepts(event)) this.isComposing = true;
+        });
+
+        this._addTrackedEventListener(element, 'compositionend', (event) => {
+            if (!accepts(event)) return;
+
+            this.isComposing = false;
+            this.trackInputKind(InputKinds.COMPOSITION);
+        });
+    }
+
+    /**
+     * Handles beforeinput events
+     * Counts paste, cut, drop, undo and redo edits from the event's inputType
+     * @param {InputEvent} event - beforeinput event
+     */
+    handleBeforeInput(event) {
+        // Spellcheck and autocorrect announce their replacements, autofill doesn't
+        if (event.inputType === 'insertReplacementText') {
+            this._hasAnnouncedReplacement = true;
+        }
+
+        const kind = INPUT_TYPE_KINDS[event.inputType];
+        if (kind) {
+            this.trackInputKind(kind);
         }
     }
 
+    /**
+     * Handles input events
+     * Counts browser autofill: replacement text without a beforeinput (autocomplete)
+     * or a value change on an element the browser marks as autofilled
+     * @param {Event} event - input event
+     */
+    handleInput(event) {
+        const hasAnnouncedReplacement = this._hasAnnouncedReplacement;
+        this._hasAnnouncedReplacement = false;
+        if (this.isComposing) return;
+
+        const isReplacement = event.inputType === 'insertReplacementText' && !hasAnnouncedReplacement;
+        if (isReplacement || (!event.inputType && isAutofilled(this.getEventTarget(event)))) {
+            this.trackInputKind(InputKinds.AUTOFILL);
+        }
+    }
+
+    /**
+     * Counts an input kind
+     * When foldInputCounts is on, a cut also counts as a deletion and the other kinds
+     * (except compositions) let the following change count even within the same focus session
+     * @param {string} kind - One of InputKinds
+     */
+    trackInputKind(kind) {
+        this.inputCounts[kind] = (this.inputCounts[kind] || 0) + 1;
+        this.logger.debug(`⚡️ ${this.fieldType.toUpperCase()} ${kind} (${this.fieldName})`);
+
+        if (this.shouldFoldInputCounts() && kind !== InputKinds.COMPOSITION) {
+            if (kind === InputKinds.CUT) {
+                this.trackDeletion();
+            } else {
+                this.canCountChange = true;
+            }
+        }
+
+        this._emit(TrackerEvents.FIELD_INPUT, { kind });
+    }
+
+    /**
+     * Whether input kinds are folded into numChanges and numDeletes
+     * @returns {boolean} The class setting, else the tracker-wide foldInputCounts option
+     */
+    shouldFoldInputCounts() {
+        const { foldInputCounts } = this.constructor;
+        if (foldInputCounts !== null && foldInputCounts !== undefined) return foldInputCounts;
+
+        return Boolean(this._ownerOptions && this._ownerOptions().foldInputCounts);
+    }
+
     /**
      * Adds a DOM node to this field's node collection
      * @param {HTMLElement} node - DOM node to add
@@ -311,7 +963,8 @@ export class BaseField {
 
     /**
      * Resets all tracking counters when form is submitted
-     * Called automatically by Matomo tracker on form submission
+     * Called automatically by Matomo tracker on form submission, and by the
+     * custom field tracker on the submissions it detects (see trackSubmission())
      */
     resetOnFormSubmit() {
         this.timespent = 0;
@@ -319,6 +972,11 @@ export class BaseField {
         this.numDeletes = 0;
         this.numCursor = 0;
         this.numChanges = 0;
+        this.inputCounts = createInputCounts();
+        this.valueHistory = [];
+        this.numValueChanges = 0;
+        this.numValidationErrors = 0;
+        this.validationErrors = {};
         this.startFocus = null;
         this.timeLastChange = null;
         this.canCountChange = true;
@@ -326,11 +984,48 @@ export class BaseField {
         this.isFocusedCausedAuto = false;
         this.firstInteractionTime = null;
         this.cancelDelayedBlur();
+
+        if (this._retiredTrackingParams) {
+            this._retiredTrackingParams = {
+                ...this._retiredTrackingParams,
+                fa_fts: 0,
+                fa_fht: 0,
+                fa_ff: 0,
+                fa_fch: 0,
+                fa_fd: 0,
+                fa_fcu: 0
+            };
+        }
+    }
+
+    /**
+     * Carries the metrics of a retired instance of this field over
+     * Used when a removed field comes back under the same name (e.g. a conditional field
+     * shown again), so it is reported once with the activity of every cycle
+     * @param {BaseField} field - Retired field with the same name
+     */
+    resumeFrom(field) {
+        this.timespent += field.timespent;
+        this.hesitationtime += field.hesitationtime;
+        this.numFocus += field.numFocus;
+        this.numChanges += field.numChanges;
+        this.numDeletes += field.numDeletes;
+        this.numCursor += field.numCursor;
+        Object.entries(field.inputCounts).forEach(([kind, count]) => {
+            this.inputCounts[kind] = (this.inputCounts[kind] || 0) + count;
+        });
+        this.valueHistory = [...field.valueHistory, ...this.valueHistory];
+        this.numValueChanges += field.numValueChanges;
+        this.numValidationErrors += field.numValidationErrors;
+        Object.entries(field.validationErrors).forEach(([code, count]) => {
+            this.validationErrors[code] = (this.validationErrors[code] || 0) + count;
+        });
     }
 
     /**
      * Calculates total time spent in this field
      * Includes both tracked time and current session time
+     * Measured with the activity clock, so hidden, unfocused and idle periods are left out
      * @returns {number} Time spent in milliseconds
      */
     getTimeSpent() {
@@ -344,19 +1039,95 @@ export class BaseField {
             const timeSpent = this.timeLastChange - this.startFocus;
             return this.timespent + (timeSpent > 0 ? timeSpent : 0);
         }
-        return this.timespent + (Date.now() - this.startFocus);
+        return this.timespent + (this.clock.now() - this.startFocus);
     }
 
     /**
      * Calculates hesitation time before first interaction
-     * Time from field detection to first user interaction
+     * Time from field detection to first user interaction, measured with the activity clock
      * @returns {number} Hesitation time in milliseconds
      */
     getHesitationTime() {
         if (this.numChanges || !this.startFocus || this.isFocusedCausedAuto) {
             return this.hesitationtime;
         }
-        return this.hesitationtime + (Date.now() - this.startFocus);
+        return this.hesitationtime + (this.clock.now() - this.startFocus);
+    }
+
+    /**
+     * Gets the current value of the field, for value capture
+     * Override in fields that opt into value capture
+     * @returns {*} Field value (string, number, boolean or array of those), null if not available
+     */
+    getValue() {
+        return null;
+    }
+
+    /**
+     * Gets the value capture settings of this field
+     * @returns {Object|null} Settings merged over DEFAULT_VALUE_CAPTURE, null if the field didn't opt in
+     *          or is sensitive
+     */
+    getValueCaptureOptions() {
+        const { valueCapture } = this.constructor;
+        return valueCapture && !this.isSensitive() ? { ...DEFAULT_VALUE_CAPTURE, ...valueCapture } : null;
+    }
+
+    /**
+     * Records the current value if it differs from the last recorded one
+     * Called on blur, once the widget has settled; the history keeps the last
+     * historyLimit values; retired fields keep the values recorded so far
+     * @returns {boolean} True if a new value was recorded
+     */
+    captureValue() {
+        const options = this.getValueCaptureOptions();
+        if (!options || this._isDestroyed) return false;
+
+        const value = formatCapturedValue(this.getValue(), options);
+        const previousValue = this.valueHistory.length ? this.valueHistory[this.valueHistory.length - 1] : null;
+        if (value === previousValue) return false;
+
+        if (previousValue !== null) {
+            this.numValueChanges++;
+        }
+        this.valueHistory.push(value);
+        if (this.valueHistory.length > options.historyLimit) {
+            this.valueHistory.splice(0, this.valueHistory.length - options.historyLimit);
+        }
+
+        this.logger.debug(`📸 ${this.fieldType.toUpperCase()} value captured (${this.fieldName}):`, value);
+        this._emit(TrackerEvents.FIELD_VALUE, { value, previousValue });
+        return true;
+    }
+
+    /**
+     * Gets the recorded values of the field
+     * @returns {{value: string|null, history: Array<string|null>, changes: number}|null} Last recorded value,
+     *          recorded values (most recent last) and number of changes of the recorded value;
+     *          null if the field didn't opt into value capture
+     */
+    getValueSnapshot() {
+        if (!this.getValueCaptureOptions()) return null;
+
+        return {
+            value: this.valueHistory.length ? this.valueHistory[this.valueHistory.length - 1] : null,
+            history: [...this.valueHistory],
+            changes: this.numValueChanges
+        };
+    }
+
+    /**
+     * Whether the field only reports engagement
+     * True for sensitive field classes, elements with data-matomo-sensitive and in privacy mode;
+     * frozen on destroy, once the element and the owner's options are gone
+     * @returns {boolean} True if the size and values must not be reported
+     */
+    isSensitive() {
+        if (this._isDestroyed) return this._wasSensitive;
+
+        return Boolean(this.constructor.sensitive) ||
+            this.element.hasAttribute(SENSITIVE_ATTRIBUTE) ||
+            Boolean(this._ownerOptions && this._ownerOptions().privacyMode);
     }
 
     /**
@@ -365,11 +1136,17 @@ export class BaseField {
      * @returns {Object} Object containing all tracking parameters
      */
     getTrackingParams() {
+        if (this._retiredTrackingParams) {
+            return this._retiredTrackingParams;
+        }
+
+        const isSensitive = this.isSensitive();
         return {
             fa_fn: this.fieldName,
             fa_ft: this.fieldType,
-            fa_fs: this.getFieldSize(),
-            fa_fb: this.isBlank() ? 1 : 0,
+            // Sensitive fields only report engagement, nothing derived from their content
+            fa_fs: isSensitive ? 0 : this.getFieldSize(),
+            fa_fb: !isSensitive && this.isBlank() ? 1 : 0,
             fa_fts: this.getTimeSpent(),
             fa_fht: this.getHesitationTime(),
             fa_ff: this.numFocus,
@@ -384,8 +1161,9 @@ export class BaseField {
      * Tracks focus count, sets entry field, and triggers Matomo tracking
      */
     onFocus() {
-        this.debug && console.log(`⚡️ ${this.fieldType.toUpperCase()} focus (${this.fieldName})`);
-        this.startFocus = Date.now();
+        this.logger.debug(`⚡️ ${this.fieldType.toUpperCase()} focus (${this.fieldName})`);
+        this.clock.markActivity();
+        this.startFocus = this.clock.now();
         const isNewField = this.fieldName !== this.tracker.lastFocusedFieldName;
 
         if (isNewField && !this.isFocusedCausedAuto) {
@@ -398,6 +1176,7 @@ export class BaseField {
 
         this.tracker.lastFocusedFieldName = this.fieldName;
         this.canCountChange = true;
+        this._emit(TrackerEvents.FIELD_FOCUS);
     }
 
     /**
@@ -405,13 +1184,36 @@ export class BaseField {
      * Calculates time spent and updates tracking data
      */
     onBlur() {
-        this.debug && console.log(`⚡️ ${this.fieldType.toUpperCase()} blur (${this.fieldName})`);
+        this.logger.debug(`⚡️ ${this.fieldType.toUpperCase()} blur (${this.fieldName})`);
         if (!this.startFocus) return;
 
+        this.captureValue();
+        this._completeBlur();
+        this._emit(TrackerEvents.FIELD_BLUR);
+    }
+
+    /**
+     * Closes an open focus session so its time is included in the next update
+     * Used before a submission and when the page is hidden; the next focus opens a new session
+     * @returns {boolean} True if a focus session was closed
+     */
+    flush() {
+        if (!this.startFocus) return false;
+
+        this.cancelDelayedBlur();
+        this.onBlur();
+        return true;
+    }
+
+    /**
+     * Adds the time of the closing focus session to the field metrics
+     * @private
+     */
+    _completeBlur() {
         // If firstInteractionTime is set, use it for more accurate time tracking
         // (useful for click-based fields where onChange happens immediately)
         if (this.firstInteractionTime && this.hasChangedValueSinceFocus) {
-            const now = Date.now();
+            const now = this.clock.now();
             const totalTime = now - this.firstInteractionTime;
             this.timespent += totalTime;
             this.firstInteractionTime = null;
@@ -430,7 +1232,7 @@ export class BaseField {
         }
 
         if (!this.isFocusedCausedAuto) {
-            const now = Date.now();
+            const now = this.clock.now();
             this.timespent += now - this.startFocus;
             if (!this.numChanges) {
                 this.hesitationtime += now - this.startFocus;
@@ -446,8 +1248,9 @@ export class BaseField {
      * Tracks changes, hesitation time, and sets entry field
      */
     onChange() {
-        this.debug && console.log(`⚡️ ${this.fieldType.toUpperCase()} changed (${this.fieldName})`);
-        this.timeLastChange = Date.now();
+        this.logger.debug(`⚡️ ${this.fieldType.toUpperCase()} changed (${this.fieldName})`);
+        this.clock.markActivity();
+        this.timeLastChange = this.clock.now();
         if (this.isFocusedCausedAuto) {
             this.startFocus = this.timeLastChange;
         } else if (!this.startFocus) {
@@ -472,6 +1275,7 @@ export class BaseField {
 
         this.tracker.setEngagedWithForm();
         this.tracker.trackFieldUpdate(this);
+        this._emit(TrackerEvents.FIELD_CHANGE);
     }
 
     /**
@@ -480,6 +1284,7 @@ export class BaseField {
      */
     trackCursorMovement() {
         this.numCursor++;
+        this._emit(TrackerEvents.FIELD_CURSOR);
     }
 
     /**
@@ -488,6 +1293,167 @@ export class BaseField {
      */
     trackDeletion() {
         this.numDeletes++;
+        this._emit(TrackerEvents.FIELD_DELETION);
+    }
+
+    /**
+     * Reports a validation error on the field
+     * Call it from custom validation, e.g. when a required rating is left empty
+     *
+     * @param {string} [code] - Error code, one of ValidationErrorCodes or any string
+     * @param {string} [message] - Error message shown to the user, for event handlers
+     */
+    reportValidationError(code = ValidationErrorCodes.INVALID, message = '') {
+        this.numValidationErrors++;
+        this.validationErrors[code] = (this.validationErrors[code] || 0) + 1;
+
+        this.logger.debug(`🚫 ${this.fieldType.toUpperCase()} validation error ${code} (${this.fieldName})`);
+        this._emit(TrackerEvents.FIELD_VALIDATION_ERROR, { code, message });
+    }
+
+    /**
+     * Gets the element whose error containers belong to this field
+     * @returns {HTMLElement} Closest match of the validationScopeSelector option, the field element otherwise
+     */
+    getValidationScope() {
+        const selector = this._getOption('validationScopeSelector', DEFAULT_VALIDATION_SCOPE_SELECTOR);
+        return (selector && this.element.closest(selector)) || this.element;
+    }
+
+    /**
+     * Gets the validation error currently shown for the field
+     * A visible, non-empty error container in the validation scope wins over
+     * aria-invalid; both take their code from data-matomo-error
+     * Override for widgets flagging errors another way
+     *
+     * @returns {{code: string, message: string}|null} Current error, null if the field is valid
+     */
+    getValidationError() {
+        const errorSelector = this._getOption('validationErrorSelector', DEFAULT_VALIDATION_ERROR_SELECTOR);
+        const roots = [this.getValidationScope(), ...this.nodes].filter((root, index, all) => all.indexOf(root) === index);
+
+        if (errorSelector) {
+            const container = roots
+                .flatMap(root => (root.matches(errorSelector) ? [root] : querySelectorAllDeep(root, errorSelector)))
+                .find(element => !element.hidden && element.textContent.trim());
+            if (container) {
+                return {
+                    code: container.getAttribute(ERROR_CODE_ATTRIBUTE) || ValidationErrorCodes.INVALID,
+                    message: container.textContent.trim()
+                };
+            }
+        }
+
+        const invalidSelector = '[aria-invalid="true"]';
+        const invalid = this.nodes
+            .map(node => (node.matches(invalidSelector) ? node : querySelectorDeep(node, invalidSelector)))
+            .find(Boolean);
+
+        return invalid ? { code: invalid.getAttribute(ERROR_CODE_ATTRIBUTE) || ValidationErrorCodes.INVALID, message: '' } : null;
+    }
+
+    /**
+     * Reports the current validation error if it differs from the last one seen
+     * The same error shown continuously is counted once; a new message or code counts again
+     * @returns {boolean} True if an error was reported
+     */
+    checkValidation() {
+        const error = this.getValidationError();
+        const signature = error ? `${error.code}\n${error.message}` : null;
+        const isNewError = signature !== null && signature !== this._validationSignature;
+
+        this._validationSignature = signature;
+        if (isNewError) {
+            this.reportValidationError(error.code, error.message);
+        }
+
+        return isNewError;
+    }
+
+    /**
+     * Whether a mutation can show, hide or change a validation error
+     * Edits of the field's own content (e.g. typing in an editor) are left out
+     * @private
+     *
+     * @param {MutationRecord} mutation - Observed mutation
+     * @param {string} errorSelector - validationErrorSelector option
+     * @returns {boolean} True if the validation error must be checked again
+     */
+    _isValidationMutation(mutation, errorSelector) {
+        if (mutation.attributeName === 'aria-invalid' || mutation.attributeName === ERROR_CODE_ATTRIBUTE) return true;
+        if (!errorSelector) return false;
+
+        const isErrorRelated = node => node.nodeType === 1 && (node.matches(errorSelector) || Boolean(node.querySelector(errorSelector)));
+        const target = mutation.target.nodeType === 1 ? mutation.target : mutation.target.parentElement;
+
+        return Boolean(target && target.closest(errorSelector)) ||
+            (mutation.type === 'attributes' && isErrorRelated(target)) ||
+            [...mutation.addedNodes, ...mutation.removedNodes].some(isErrorRelated);
+    }
+
+    /**
+     * Watches the validation scope and the field nodes for errors
+     * Uses a tracked MutationObserver, so destroy() disconnects it; errors already
+     * shown (e.g. rendered by the server) are reported right away. Only mutations of
+     * error containers and aria-invalid are checked, once per microtask
+     */
+    setupValidationObserver() {
+        if (this._hasValidationObserver) return;
+        this._hasValidationObserver = true;
+
+        const errorSelector = this._getOption('validationErrorSelector', DEFAULT_VALIDATION_ERROR_SELECTOR);
+        let isCheckPending = false;
+        const observer = this._trackMutationObserver(new MutationObserver((mutations) => {
+            if (isCheckPending || !mutations.some(mutation => this._isValidationMutation(mutation, errorSelector))) return;
+
+            isCheckPending = true;
+            queueMicrotask(() => {
+                isCheckPending = false;
+                if (!this._isDestroyed) this.checkValidation();
+            });
+        }));
+        const roots = [this.getValidationScope(), ...this.nodes].filter((root, index, all) => all.indexOf(root) === index);
+
+        roots.forEach(root => observer.observe(root, {
+            childList: true,
+            subtree: true,
+            characterData: true,
+            attributes: true,
+            attributeFilter: VALIDATION_ATTRIBUTES
+        }));
+        this.checkValidation();
+    }
+
+    /**
+     * Reads an option of the owning tracker
+     * Fields don't import the tracker options, so callers pass the default used
+     * before the field is integrated
+     * @private
+     * @param {string} name - Option name (see DEFAULT_OPTIONS)
+     * @param {*} fallback - Value when the field has no owner or the option is not set
+     * @returns {*} Option value
+     */
+    _getOption(name, fallback) {
+        const options = this._ownerOptions ? this._ownerOptions() : null;
+        return options && name in options ? options[name] : fallback;
+    }
+
+    /**
+     * Retires a field whose element was removed from the form
+     * Freezes the current tracking params so they can still be reported,
+     * then destroys the field
+     */
+    retire() {
+        if (this._isDestroyed) return;
+
+        // Close an open focus session so its time is included in the snapshot
+        if (this.startFocus) {
+            this.onBlur();
+        }
+
+        this._retiredTrackingParams = this.getTrackingParams();
+        this._emit(TrackerEvents.FIELD_RETIRED);
+        this.destroy();
     }
 
     /**
@@ -497,6 +1463,7 @@ export class BaseField {
      */
     destroy() {
         if (this._isDestroyed) return;
+        this._wasSensitive = this.isSensitive();
         this._isDestroyed = true;
 
         // Remove all tracked event listeners
@@ -505,7 +1472,7 @@ export class BaseField {
                 try {
                     element.removeEventListener(event, handler, options);
                 } catch (e) {
-                    this.debug && console.warn(`Failed to remove event listener: ${event}`, e);
+                    this.logger.warn(`Failed to remove event listener: ${event}`, e);
                 }
             }
         }
@@ -517,7 +1484,7 @@ export class BaseField {
                 clearTimeout(timerId);
                 clearInterval(timerId);
             } catch (e) {
-                this.debug && console.warn(`Failed to clear timer: ${timerId}`, e);
+                this.logger.warn(`Failed to clear timer: ${timerId}`, e);
             }
         }
         this._timers.clear();
@@ -527,11 +1494,16 @@ export class BaseField {
             try {
                 observer.disconnect();
             } catch (e) {
-                this.debug && console.warn(`Failed to disconnect MutationObserver:`, e);
+                this.logger.warn(`Failed to disconnect MutationObserver:`, e);
             }
         }
         this._mutationObservers.clear();
 
+        this._emit(TrackerEvents.FIELD_DESTROYED);
+        this._events.clear();
+        this._trackerEvents = null;
+        this._ownerOptions = null;
+
         // Null out heavy references to prevent memory leaks
         this._mutationObserver = null;
         this.element = null;
@@ -0,0 +1,197 @@
+import { BaseField } from './BaseField.js';
+import { querySelectorAllDeep } from './ShadowDom.js';
+
+/**
+ * CompositeField Class
+ *
+ * Base class for widgets made of several controls that should be reported as
+ * one logical field, such as date pickers (day/month/year selects), address
+ * autocompletes or phone inputs with a country dropdown.
+ *
+ * Focus is tracked across all parts: moving from one part to another keeps the
+ * focus session open instead of counting a blur and a new focus. Sizes are
+ * summed and the field is blank only while every part is blank.
+ *
+ * Parts are the elements matching `selectors.part` inside the field element and
+ * inside every node added with addNode(), e.g. a dropdown rendered elsewhere in
+ * the form.
+ *
+ * @class CompositeField
+ * @abstract
+ * @extends BaseField
+ */
+export class CompositeField extends BaseField {
+    static selectors = {
+        // A single control of the composite field
+        part: 'input:not([type="hidden"]), select, textarea, [contenteditable="true"]'
+    };
+
+    /**
+     * Delay before a blur without a known destination closes the focus session
+     * Lets a following focus on another part cancel it
+     * @static
+     */
+    static blurDelay = 50;
+
+    /**
+     * Creates a new CompositeField instance
+     *
+     * @param {Object} tracker - Matomo tracker instance
+     * @param {HTMLElement} element - Container element of the parts
+     * @param {string} fieldName - Unique identifier for the field
+     */
+    constructor(tracker, element, fieldName) {
+        super(tracker, element, fieldName);
+        this._listensToNodes = false;
+    }
+
+    /**
+     * Gets the controls of the field across all its nodes
+     * @returns {HTMLElement[]} Part elements, in node order
+     */
+    getParts() {
+        const { part } = this.constructor.selectors;
+        const parts = [];
+
+        this.nodes.forEach((node) => {
+            const matches = node.matches(part) ? [node] : querySelectorAllDeep(node, part);
+            matches.forEach(match => !parts.includes(match) && parts.push(match));
+        });
+
+        return parts;
+    }
+
+    /**
+     * Gets the interactive elements of the field
+     * @returns {HTMLElement[]} Part elements
+     */
+    getInteractiveElement() {
+        return this.getParts();
+    }
+
+    /**
+     * Whether a single part is blank
+     * Override for parts whose empty state is not an empty value
+     * @param {HTMLElement} part - Part element
+     * @returns {boolean} True if the part is blank
+     */
+    isPartBlank(part) {
+        if (part.type === 'checkbox' || part.type === 'radio') return !part.checked;
+
+        return this.getPartSize(part) === 0;
+    }
+
+    /**
+     * Gets the size of a single part
+     * Override for parts whose size is not the length of their value
+     * @param {HTMLElement} part - Part element
+     * @returns {number} Part size
+     */
+    getPartSize(part) {
+        if (part.type === 'checkbox' || part.type === 'radio') return part.checked ? 1 : 0;
+
+        const value = 'value' in part ? part.value : part.textContent;
+        return String(value || '').trim().length;
+    }
+
+    /**
+     * Whether every part is blank
+     * @returns {boolean} True if the field is blank
+     */
+    isBlank() {
+        return this.getParts().every(part => this.isPartBlank(part));
+    }
+
+    /**
+     * Gets the combined size of all parts
+     * @returns {number} Sum of the part sizes
+     */
+    getFieldSize() {
+        return this.getParts().reduce((total, part) => total + this.getPartSize(part), 0);
+    }
+
+    /**
+     * Adds a DOM node to the field, e.g. a dropdown rendered outside the field element
+     * Listens to the node right away when the field is already set up
+     * @param {HTMLElement} node - DOM node to add
+     */
+    addNode(node) {
+        if (this.nodes.includes(node)) return;
+
+        super.addNode(node);
+        if (this._listensToNodes) {
+            this._setupNodeEventListeners(node);
+        }
+    }
+
+    /**
+     * Sets up delegated listeners on every node of the field
+     */
+    setupEventListeners() {
+        this.nodes.forEach(node => this._setupNodeEventListeners(node));
+        this._listensToNodes = true;
+    }
+
+    /**
+     * Sets up the delegated listeners of one node
+     * focusin/focusout bubble, so parts rendered later in the node are covered
+     * @private
+     * @param {HTMLElement} node - Field node
+     */
+    _setupNodeEventListeners(node) {
+        const isPart = event => this.getEventTarget(event).closest?.(this.constructor.selectors.part);
+
+        this._addTrackedEventListener(node, 'focusin', (event) => {
+            if (isPart(event)) this.onPartFocus(event);
+        });
+        this._addTrackedEventListener(node, 'focusout', (event) => {
+            if (isPart(event)) this.onPartBlur(event);
+        });
+        this._addTrackedEventListener(node, 'input', (event) => {
+            if (!isPart(event)) return;
+
+            this.handleInput(event);
+            this.onChange();
+        });
+        this._addInputKindListeners(node, isPart);
+        this._addTrackedEventListener(node, 'keydown', (event) => {
+            if (isPart(event)) this.handleKeydown(event);
+        });
+    }
+
+    /**
+     * Handles focus entering a part
+     * Opens a focus session unless one is already open for another part
+     * @param {FocusEvent} event - focusin event
+     */
+    onPartFocus(event) {
+        this.cancelDelayedBlur();
+        if (this.startFocus) {
+            this.logger.debug(`⚡️ ${this.fieldType.toUpperCase()} moved to another part (${this.fieldName}):`, this.getEventTarget(event));
+            return;
+        }
+
+        this.onFocus();
+    }
+
+    /**
+     * Handles focus leaving a part
+     * Ignored when the focus moves to another part; closed after blurDelay
+     * when the destination is unknown
+     * @param {FocusEvent} event - focusout event
+     */
+    onPartBlur(event) {
+        if (this.containsNode(event.relatedTarget)) return;
+
+        this.cancelDelayedBlur();
+        if (event.relatedTarget) {
+            this.onBlur();
+            return;
+        }
+
+        this._delayedBlurTimer = this._trackTimer(setTimeout(() => {
+            this._delayedBlurTimer = null;
+            this.onBlur();
+        }, this.constructor.blurDelay));
+    }
+}
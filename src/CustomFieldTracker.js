@@ -0,0 +1,1457 @@
+import { RemovalPolicies, isValidRemovalPolicy } from './Enums/RemovalPolicies.js';
+import { resolveOptions } from './Options.js';
+import { resolveFormTracker, TRACKER_MISSING_EVENT } from './TrackerResolver.js';
+import { EventEmitter } from './EventEmitter.js';
+import { TrackerEvents } from './Enums/TrackerEvents.js';
+import { LogLevels, isValidLogLevel } from './Enums/LogLevels.js';
+import { Logger } from './Logger.js';
+import { ActivityClock } from './ActivityClock.js';
+import { DeclarativeField } from './fields/DeclarativeField.js';
+import { validateFieldClass, getSelectorOverlap } from './FieldValidator.js';
+import { NativeFieldPolicies, isValidNativeFieldPolicy } from './Enums/NativeFieldPolicies.js';
+import { BaseField } from './BaseField.js';
+import { createFieldNameResolver, describeFieldNameResolvers, getUniqueFieldName } from './FieldNaming.js';
+import { DuplicateNamePolicies, isValidDuplicateNamePolicy } from './Enums/DuplicateNamePolicies.js';
+import { getFieldGroupPath, formatGroupedFieldName, FieldGroupAggregate } from './FieldGroups.js';
+import { GroupNamingModes, isValidGroupNamingMode } from './Enums/GroupNamingModes.js';
+import { getOpenShadowRoots, querySelectorAllDeep, querySelectorDeep } from './ShadowDom.js';
+import { ConsentModes, isValidConsentMode } from './Enums/ConsentModes.js';
+import { isIgnoredElement, readMatomoConsent, watchMatomoConsent, IGNORE_ATTRIBUTE } from './Privacy.js';
+import { watchFormSubmission, trackMatomoFormSubmit } from './FormSubmission.js';
+import { SubmitTriggers } from './Enums/SubmitTriggers.js';
+
+/**
+ * Gets the FormAnalytics plugin object, if it has loaded
+ * @returns {Object|null} FormAnalytics object
+ */
+function getFormAnalytics() {
+    return window.Matomo?.FormAnalytics || window.Piwik?.FormAnalytics || null;
+}
+
+/**
+ * MutationObserver options of the dynamic field observer (forms and shadow roots)
+ */
+const DYNAMIC_FIELD_OBSERVER_OPTIONS = {
+    childList: true,    // Watch for added/removed children
+    subtree: true,      // Watch all descendants
+    attributes: false,
+};
+
+/**
+ * Time (ms) in which further submissions of a form are ignored,
+ * e.g. a submit button click followed by the submit event it causes
+ */
+const SUBMIT_DEDUPE_WINDOW = 1000;
+
+/**
+ * CustomFieldTracker Class
+ *
+ * Integrates custom fields with Matomo FormAnalytics. Every instance keeps its
+ * own field registry, options, logger and event bus, so several bundles on the
+ * same page can track their fields without overwriting each other.
+ *
+ * @class CustomFieldTracker
+ */
+export class CustomFieldTracker {
+    /**
+     * Creates a new CustomFieldTracker instance
+     *
+     * @param {Object|Array} [options] - Options object (see DEFAULT_OPTIONS) used as the
+     *        defaults of init(), or an array of { fieldType, FieldClass } entries
+     * @param {Logger} [logger] - Logger of this instance (a new root Logger by default)
+     */
+    constructor(options = {}, logger = new Logger()) {
+        /**
+         * Field Classes Registry
+         * Maps field types to their corresponding classes
+         */
+        this.fieldClasses = {};
+        this.logger = logger;
+        // Measures time spent for the fields of this instance, see ActivityClock
+        this.clock = new ActivityClock(logger.child('clock'));
+        this.removalPolicy = RemovalPolicies.KEEP;
+        this._defaults = resolveOptions(options);
+        this.options = this._defaults;
+
+        /**
+         * Tracker event bus
+         * Receives tracker events and the events of every integrated custom field
+         */
+        this.events = new EventEmitter((error, event) => {
+            this.logger.error(`Error in ${event} handler:`, error);
+        });
+
+        /**
+         * Attached Forms Registry
+         * Maps each form to its Matomo tracker, dynamic observer, submission watcher and integrated custom fields
+         * @type {Map<HTMLElement, {tracker: Object, observer: MutationObserver|null, reScanTimeout: number|null, unwatchSubmission: Function|null, lastSubmitTime: number, flushedActivity: number|null, fields: BaseField[], retiredFields: BaseField[], fieldGroups: Map<string, FieldGroupAggregate>}>}
+         */
+        this.attachedForms = new Map();
+
+        // Async init hook installed on window.matomoFormAnalyticsAsyncInit,
+        // the callback it replaced (called first) and the pending load timeout
+        this._asyncInitHook = null;
+        this._chainedAsyncInit = null;
+        this._formAnalyticsTimeout = null;
+
+        /**
+         * Pending and settled tracker lookups per form
+         * The generation is bumped on destroy() so lookups still in flight are discarded
+         * @type {WeakMap<HTMLElement, Promise<{form: HTMLElement, tracker: Object|null, attempts: number}>>}
+         */
+        this._trackerLookups = new WeakMap();
+        this._lookupGeneration = 0;
+
+        /**
+         * Document-level observer picking up forms added or removed after init
+         * @type {MutationObserver|null}
+         */
+        this._formDiscoveryObserver = null;
+
+        // Consent state (see ConsentModes), whether FormAnalytics has loaded
+        // and the watcher of Matomo's consent commands
+        this._consentGranted = false;
+        this._isFormAnalyticsReady = false;
+        this._unwatchConsent = null;
+
+        // pagehide listener flushing the forms in progress, see features.abandonmentFlush
+        this._pageHideHandler = null;
+
+        this.configure(options);
+    }
+
+    /**
+     * Registers custom fields and starts tracking once FormAnalytics is ready
+     * Options are merged over the ones the instance was created with
+     *
+     * @example
+     * FormAnalyticsCustomFieldTracker.init({
+     *     fields: [{ fieldType: 'rating', FieldClass: RatingField }],
+     *     formSelector: '.survey-form',
+     *     fieldNameAttribute: 'data-field-key',
+     *     features: { removalDetection: false }
+     * });
+     *
+     * @param {Object|Array} [customFieldsOrOptions] - Options object (see DEFAULT_OPTIONS) or,
+     *        for the legacy signature, an array of { fieldType, FieldClass } entries
+     * @param {boolean} [debug] - Enables debug logging (legacy signature only)
+     */
+    init(customFieldsOrOptions = {}, debug = false) {
+        // Legacy signature: only an explicit debug flag changes the logger
+        const isLegacy = Array.isArray(customFieldsOrOptions) || !customFieldsOrOptions;
+        this.configure(isLegacy ? { fields: customFieldsOrOptions || [], ...(debug ? { debug } : {}) } : customFieldsOrOptions);
+        this._setupConsent();
+
+        // Wait for FormAnalytics to initialize
+        this._waitForFormAnalytics();
+    }
+
+    /**
+     * Applies options without attaching to any form
+     * Registers the given fields and updates the removal policy. The logger's sink
+     * and level are only changed when logger, logLevel or debug are passed, so a
+     * logger configured beforehand (e.g. getLogger()) keeps its settings; passing
+     * a logger without a level reports warnings and errors
+     *
+     * @param {Object|Array} options - Options object (see DEFAULT_OPTIONS) or an array of { fieldType, FieldClass } entries
+     */
+    configure(options) {
+        this.options = resolveOptions(options, false, this._defaults);
+        const passed = Array.isArray(options) || !options ? {} : options;
+        if ('logger' in passed) {
+            this.logger.setSink(this.options.logger);
+        }
+        if ('logger' in passed || 'logLevel' in passed || 'debug' in passed) {
+            const defaultLevel = 'logger' in passed ? LogLevels.WARN : LogLevels.SILENT;
+            this.setLogLevel(this.options.logLevel || (this.options.debug ? LogLevels.DEBUG : defaultLevel));
+        }
+        this.setRemovalPolicy(this.options.removalPolicy);
+        if (!isValidNativeFieldPolicy(this.options.nativeFieldPolicy)) {
+            this.logger.warn(`⚠️ Unknown native field policy: ${this.options.nativeFieldPolicy}`);
+            this.options.nativeFieldPolicy = NativeFieldPolicies.REPLACE;
+        }
+        if (!isValidDuplicateNamePolicy(this.options.duplicateFieldNames)) {
+            this.logger.warn(`⚠️ Unknown duplicate field name policy: ${this.options.duplicateFieldNames}`);
+            this.options.duplicateFieldNames = DuplicateNamePolicies.WARN;
+        }
+        if (!isValidGroupNamingMode(this.options.groupNaming)) {
+            this.logger.warn(`⚠️ Unknown group naming mode: ${this.options.groupNaming}`);
+            this.options.groupNaming = GroupNamingModes.INSTANCE;
+        }
+        if (!isValidConsentMode(this.options.consent)) {
+            this.logger.warn(`⚠️ Unknown consent mode: ${this.options.consent}`);
+            this.options.consent = ConsentModes.NONE;
+        }
+        this._resolveFieldName = createFieldNameResolver(this.options);
+        this.clock.configure({
+            idleTimeout: this.options.idleTimeout,
+            pauseWhenHidden: this.options.features.visibilityPause
+        });
+
+        // Register custom fields if provided
+        const customFields = this.options.fields;
+        if (customFields && customFields.length > 0) {
+            customFields.forEach(({ fieldType, FieldClass }) => {
+                if (fieldType && FieldClass) {
+                    this.registerField(fieldType, FieldClass);
+                } else {
+                    this._reportRegistrationProblem('Custom field must have fieldType and FieldClass properties');
+                }
+            });
+        }
+    }
+
+    /**
+     * Registers a custom field class after validating it
+     * Invalid classes are rejected; duplicate field types and selectors shared with
+     * other registered classes are reported. In strict mode every problem throws
+     *
+     * @param {string} fieldType - Field type, must match the class's static fieldType
+     * @param {typeof BaseField} FieldClass - Field class
+     * @returns {boolean} True if the class was registered
+     * @throws {Error} In strict mode, if the class is invalid, replaces another class or shares a selector
+     */
+    registerField(fieldType, FieldClass) {
+        const problems = validateFieldClass(fieldType, FieldClass);
+        if (problems.length > 0) {
+            this._reportRegistrationProblem(`Cannot register custom field "${fieldType}":\n- ${problems.join('\n- ')}`);
+            return false;
+        }
+
+        const existing = this.fieldClasses[fieldType];
+        if (existing && existing !== FieldClass) {
+            this._reportRegistrationProblem(`Field type "${fieldType}" is already registered with ${existing.name}, replacing it with ${FieldClass.name}`, LogLevels.WARN);
+        }
+
+        Object.entries(this.fieldClasses).forEach(([type, OtherClass]) => {
+            const overlap = type === fieldType ? [] : getSelectorOverlap(FieldClass.selector, OtherClass.selector);
+            if (overlap.length > 0) {
+                this._reportRegistrationProblem(`Selector "${overlap.join(', ')}" of "${fieldType}" is also used by "${type}", matching elements are tracked by the class with the higher priority, or the one registered first on a tie`, LogLevels.WARN);
+            }
+        });
+
+        this.fieldClasses[fieldType] = FieldClass;
+        this.logger.debug(`📝 Registered custom field: ${fieldType} (${FieldClass.name})`);
+
+        return true;
+    }
+
+    /**
+     * Subscribes to a tracker event
+     * Field events (field:*) of every custom field are forwarded to the tracker
+     *
+     * @example
+     * const unsubscribe = FormAnalyticsCustomFieldTracker.on('field:change', ({ field }) => {
+     *     otherAnalytics.track('custom_field_change', { name: field.fieldName });
+     * });
+     *
+     * @param {string} event - Event name (see TrackerEvents)
+     * @param {Function} handler - Receives the event payload
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, handler) {
+        const unsubscribe = this.events.on(event, handler);
+        this._onSubscribe(event);
+        return unsubscribe;
+    }
+
+    /**
+     * Subscribes to the next occurrence of a tracker event only
+     *
+     * @param {string} event - Event name (see TrackerEvents)
+     * @param {Function} handler - Receives the event payload
+     * @returns {Function} Unsubscribe function
+     */
+    once(event, handler) {
+        const unsubscribe = this.events.once(event, handler);
+        this._onSubscribe(event);
+        return unsubscribe;
+    }
+
+    /**
+     * Unsubscribes from a tracker event
+     *
+     * @param {string} event - Event name
+     * @param {Function} [handler] - Handler passed to on(), all handlers when omitted
+     */
+    off(event, handler) {
+        this.events.off(event, handler);
+    }
+
+    /**
+     * Starts the detection a new subscription needs
+     * Validation errors are detected on the attached fields once someone listens for them
+     * @private
+     *
+     * @param {string} event - Subscribed event name
+     */
+    _onSubscribe(event) {
+        if (event !== TrackerEvents.FIELD_VALIDATION_ERROR || !this._isValidationDetectionEnabled()) return;
+
+        this.attachedForms.forEach(state => state.fields.forEach(field => field.setupValidationObserver()));
+    }
+
+    /**
+     * Whether custom fields detect validation errors
+     * @private
+     * @returns {boolean} The features.validationErrors option; when null, whether a handler
+     *          listens for FIELD_VALIDATION_ERROR
+     */
+    _isValidationDetectionEnabled() {
+        const { validationErrors } = this.options.features;
+        if (validationErrors === null || validationErrors === undefined) {
+            return this.events.hasHandlers(TrackerEvents.FIELD_VALIDATION_ERROR);
+        }
+
+        return Boolean(validationErrors);
+    }
+
+    /**
+     * Changes the log level at runtime, for the tracker and all its fields
+     *
+     * @param {string} level - One of LogLevels
+     */
+    setLogLevel(level) {
+        if (!isValidLogLevel(level)) {
+            this.logger.warn(`⚠️ Unknown log level: ${level}`);
+            return;
+        }
+
+        this.logger.setLevel(level);
+    }
+
+    /**
+     * Sets what happens to custom fields whose element is removed from the form
+     * Field classes can override it with a static removalPolicy
+     *
+     * @param {string} policy - One of RemovalPolicies (KEEP by default)
+     */
+    setRemovalPolicy(policy) {
+        if (!isValidRemovalPolicy(policy)) {
+            this.logger.warn(`⚠️ Unknown removal policy: ${policy}`);
+            return;
+        }
+
+        this.removalPolicy = policy;
+    }
+
+    /**
+     * Get available field types
+     * @returns {string[]} Array of registered field types
+     */
+    getAvailableFieldTypes() {
+        return Object.keys(this.fieldClasses);
+    }
+
+    /**
+     * Check if a field type is registered
+     * @param {string} fieldType - Field type to check
+     * @returns {boolean} True if supported, false otherwise
+     */
+    isFieldTypeSupported(fieldType) {
+        return fieldType in this.fieldClasses;
+    }
+
+    /**
+     * Whether debug logging is enabled for this instance
+     * @returns {boolean} True if the logger outputs DEBUG messages
+     */
+    getDebugMode() {
+        return this.logger.isLevelEnabled(LogLevels.DEBUG);
+    }
+
+    /**
+     * Whether custom fields may be tracked under the consent option
+     * @returns {boolean} True if consent is not required or was granted
+     */
+    hasConsent() {
+        return this.options.consent === ConsentModes.NONE || this._consentGranted;
+    }
+
+    /**
+     * Grants consent and attaches to the forms once FormAnalytics is ready
+     * Called automatically in ConsentModes.MATOMO when Matomo gets consent
+     */
+    grantConsent() {
+        if (this._consentGranted) return;
+
+        this._consentGranted = true;
+        this.logger.debug('🔓 Consent granted, tracking custom fields');
+        this.events.emit(TrackerEvents.CONSENT_GRANTED, { mode: this.options.consent });
+
+        if (this._isFormAnalyticsReady) {
+            this._attachAllForms();
+        }
+    }
+
+    /**
+     * Revokes consent and stops tracking: every form is detached until consent is granted again
+     * Called automatically in ConsentModes.MATOMO when Matomo's consent is forgotten
+     */
+    revokeConsent() {
+        if (this.options.consent === ConsentModes.NONE) {
+            this.logger.warn('⚠️ revokeConsent() has no effect without a consent mode (consent: none)');
+            return;
+        }
+        if (!this._consentGranted) return;
+
+        this._consentGranted = false;
+        this._detachAllForms();
+        this.clock.stop();
+        this.logger.debug('🔒 Consent revoked, stopped tracking custom fields');
+        this.events.emit(TrackerEvents.CONSENT_REVOKED, { mode: this.options.consent });
+    }
+
+    /**
+     * Tracks the submission of a form, right away or once a submission promise resolves
+     * For forms FormAnalytics can't see submitted, e.g. AJAX forms: tracks the submission
+     * (and a conversion with the trackConversion option) and resets the custom fields
+     *
+     * @example
+     * FormAnalyticsCustomFieldTracker.trackSubmission(form, fetch('/api/survey', { method: 'POST', body }));
+     *
+     * @param {HTMLElement} form - Attached form element or container
+     * @param {Promise} [submission] - Pending submission; rejected submissions are not tracked
+     * @returns {Promise<boolean>} True if the submission was tracked
+     */
+    trackSubmission(form, submission = null) {
+        if (!submission) {
+            return Promise.resolve(this._submitForm(form, SubmitTriggers.MANUAL));
+        }
+
+        return Promise.resolve(submission).then(
+            () => this._submitForm(form, SubmitTriggers.PROMISE),
+            (error) => {
+                this.logger.debug('📭 Submission failed, not tracked:', error);
+                return false;
+            }
+        );
+    }
+
+    /**
+     * Tears down custom field tracking for a single form
+     * Disconnects the dynamic observer, destroys the form's custom fields and
+     * removes them from the Matomo tracker. Use this when a form is unmounted
+     * (e.g. on SPA route changes)
+     *
+     * @param {HTMLElement} form - Form element
+     * @returns {boolean} True if the form was attached, false otherwise
+     */
+    detachForm(form) {
+        const state = this.attachedForms.get(form);
+        if (!state) return false;
+
+        if (state.observer) {
+            state.observer.disconnect();
+        }
+        if (state.reScanTimeout) {
+            clearTimeout(state.reScanTimeout);
+        }
+        if (state.unwatchSubmission) {
+            state.unwatchSubmission();
+        }
+
+        this._removeCustomFields(state.tracker, [...state.fields, ...state.retiredFields]);
+        state.fieldGroups.forEach(aggregate => this._removeFromTracker(state.tracker, aggregate, null));
+        this.attachedForms.delete(form);
+        // A form inserted again (e.g. a remounted SPA view) gets a new lookup
+        this._trackerLookups.delete(form);
+        this.events.emit(TrackerEvents.FORM_DETACHED, { form, tracker: state.tracker });
+
+        this.logger.debug(`🧹 Detached custom field tracking from form (${state.fields.length} fields destroyed)`);
+
+        return true;
+    }
+
+    /**
+     * Tears down custom field tracking for every attached form
+     * Registered field classes are kept, so reinit() can attach again
+     */
+    destroy() {
+        this._clearFormAnalyticsTimeout();
+        this._teardownConsentWatch();
+        this._detachAllForms();
+        this.clock.stop();
+    }
+
+    /**
+     * Gets the tracker lookup result of a form
+     * Resolves once the form's tracker was found (and the form attached) or the
+     * lookup gave up, in which case the tracker is null
+     *
+     * @param {HTMLElement} form - Form element
+     * @returns {Promise<{form: HTMLElement, tracker: Object|null, attempts: number}>|null} Lookup result,
+     *          null if no lookup was started for the form
+     */
+    whenFormReady(form) {
+        if (this._trackerLookups.has(form)) {
+            return this._trackerLookups.get(form);
+        }
+
+        const state = this.attachedForms.get(form);
+        return state ? Promise.resolve({ form, tracker: state.tracker, attempts: 0 }) : null;
+    }
+
+    /**
+     * Destroys all custom fields and attaches again to the forms currently on the page
+     * Useful after a SPA route change re-rendered the forms. Before FormAnalytics
+     * has loaded, waits for it again instead of looking up trackers that can't exist yet
+     */
+    reinit() {
+        this.destroy();
+        this._setupConsent();
+        if (this._isFormAnalyticsReady) {
+            this._attachAllForms();
+        } else {
+            this._waitForFormAnalytics();
+        }
+    }
+
+    /**
+     * Detaches every form and stops attaching new ones
+     * @private
+     */
+    _detachAllForms() {
+        // Discard tracker lookups that are still in flight
+        this._lookupGeneration++;
+        this._trackerLookups = new WeakMap();
+        this._teardownFormDiscoveryObserver();
+        this._teardownPageHideFlush();
+        Array.from(this.attachedForms.keys()).forEach(form => this.detachForm(form));
+    }
+
+    /**
+     * Tracks a detected submission of an attached form
+     * Closes open focus sessions first so their time is part of the submission,
+     * then resets the custom fields of the form
+     * @private
+     *
+     * @param {HTMLElement} form - Form element
+     * @param {string} trigger - What detected the submission (see SubmitTriggers)
+     * @returns {boolean} True if the submission was tracked
+     */
+    _submitForm(form, trigger) {
+        const state = this.attachedForms.get(form);
+        if (!state) {
+            this.logger.warn('⚠️ Cannot track the submission of a form custom fields are not attached to:', form);
+            return false;
+        }
+
+        const now = Date.now();
+        if (now - state.lastSubmitTime < SUBMIT_DEDUPE_WINDOW) {
+            this.logger.debug(`⏭️ Ignoring repeated submission (${trigger})`);
+            return false;
+        }
+        state.lastSubmitTime = now;
+
+        state.fields.forEach(field => field.flush());
+        trackMatomoFormSubmit(state.tracker, form, this.options.trackConversion);
+        [...state.fields, ...state.retiredFields].forEach(field => field.resetOnFormSubmit());
+        state.flushedActivity = null;
+
+        this.logger.debug(`📮 Form submitted (${trigger}), custom fields reset`);
+        this.events.emit(TrackerEvents.FORM_SUBMITTED, { form, tracker: state.tracker, trigger });
+
+        return true;
+    }
+
+    /**
+     * Listens for pagehide to flush the forms in progress, once for every attached form
+     * @private
+     */
+    _setupPageHideFlush() {
+        if (this._pageHideHandler) return;
+
+        this._pageHideHandler = () => this._flushAbandonedForms();
+        window.addEventListener('pagehide', this._pageHideHandler);
+    }
+
+    /**
+     * Stops listening for pagehide
+     * @private
+     */
+    _teardownPageHideFlush() {
+        if (this._pageHideHandler) {
+            window.removeEventListener('pagehide', this._pageHideHandler);
+            this._pageHideHandler = null;
+        }
+    }
+
+    /**
+     * Sends the custom field state of the forms in progress before the page goes away
+     * A form is in progress when one of its custom fields was used since the last submission
+     * and the last flush, so a page leaving the back/forward cache and hidden again
+     * only flushes its forms again when they were used in between
+     * @private
+     */
+    _flushAbandonedForms() {
+        this.attachedForms.forEach((state, form) => {
+            const activity = state.fields.reduce((sum, field) => sum + field.numFocus + field.numChanges, 0);
+            const hasOpenSession = state.fields.some(field => field.startFocus);
+            if (!hasOpenSession && (activity === 0 || activity === state.flushedActivity)) return;
+            state.flushedActivity = activity;
+
+            state.fields.forEach((field) => {
+                if (field.flush()) {
+                    state.tracker.trackFieldUpdate(field);
+                }
+            });
+            if (typeof state.tracker.sendUpdate === 'function') {
+                state.tracker.sendUpdate();
+            } else {
+                state.tracker.scheduleSendUpdate();
+            }
+
+            this.logger.debug('🚪 Page hidden with a form in progress, custom fields flushed');
+            this.events.emit(TrackerEvents.FORM_ABANDONED, { form, tracker: state.tracker });
+        });
+    }
+
+    /**
+     * Reads Matomo's consent state and follows its consent commands, in ConsentModes.MATOMO
+     * Consent granted before (manually or by an earlier command) is kept
+     * @private
+     */
+    _setupConsent() {
+        this._teardownConsentWatch();
+        if (this.options.consent !== ConsentModes.MATOMO) return;
+
+        this._consentGranted = this._consentGranted || readMatomoConsent();
+        this._unwatchConsent = watchMatomoConsent((granted) => {
+            if (granted) {
+                this.grantConsent();
+            } else {
+                this.revokeConsent();
+            }
+        });
+    }
+
+    /**
+     * Stops following Matomo's consent commands
+     * @private
+     */
+    _teardownConsentWatch() {
+        if (this._unwatchConsent) {
+            this._unwatchConsent();
+            this._unwatchConsent = null;
+        }
+    }
+
+    /**
+     * Attaches to the forms once FormAnalytics has loaded
+     * @private
+     */
+    _onFormAnalyticsReady() {
+        this._isFormAnalyticsReady = true;
+        // Matomo replaced its command queue while loading, follow the new one
+        this._setupConsent();
+        this._attachAllForms();
+    }
+
+    /**
+     * Reports a field registration problem
+     * Throws in strict mode, logs otherwise
+     * @private
+     *
+     * @param {string} message - Problem description
+     * @param {string} [level] - Log level outside strict mode (ERROR by default)
+     * @throws {Error} In strict mode
+     */
+    _reportRegistrationProblem(message, level = LogLevels.ERROR) {
+        if (this.options.strict) {
+            throw new Error(message);
+        }
+
+        this.logger[level](`⚠️ ${message}`);
+    }
+
+    /**
+     * Gets the field classes to inject, in registration order
+     * Includes the data-attribute field when declarative fields are enabled
+     * @private
+     * @returns {Array<[string, typeof BaseField]>} Field type and class pairs
+     */
+    _getFieldClassEntries() {
+        const entries = Object.entries(this.fieldClasses);
+        if (this.options.features.declarativeFields && !(DeclarativeField.fieldType in this.fieldClasses)) {
+            entries.push([DeclarativeField.fieldType, DeclarativeField]);
+        }
+
+        return entries;
+    }
+
+    /**
+     * Gets the field class of a field type
+     * @private
+     * @param {string} fieldType - Field type
+     * @returns {typeof BaseField|undefined} Field class
+     */
+    _getFieldClass(fieldType) {
+        return this._getFieldClassEntries().find(([type]) => type === fieldType)?.[1];
+    }
+
+    /**
+     * Factory method for creating fields of any type
+     * Uses the factory pattern to create field instances based on type
+     * @private
+     *
+     * @param {Object} tracker - Matomo tracker instance
+     * @param {HTMLElement} element - DOM element
+     * @param {string} fieldName - Field identifier
+     * @param {string} fieldType - Type of field to create
+     * @returns {BaseField|null} Created field instance or null if type not found
+     */
+    _createField(tracker, element, fieldName, fieldType) {
+        const FieldClass = this._getFieldClass(fieldType);
+        if (!FieldClass) {
+            this.logger.error(`No field class found for type: ${fieldType}`);
+            return null;
+        }
+
+        try {
+            // Verify the fieldType matches the class's static property
+            if (FieldClass.fieldType !== fieldType) {
+                this.logger.error(`Field type mismatch: expected ${fieldType}, got ${FieldClass.fieldType}`);
+                return null;
+            }
+
+            const field = new FieldClass(tracker, element, fieldName);
+            // Use this instance's logger and forward the field's events to its bus
+            field._bindOwner(this);
+            field.setupEventListeners();
+            if (this._isValidationDetectionEnabled()) {
+                field.setupValidationObserver();
+            }
+            return field;
+        } catch (error) {
+            this.logger.error(`Error creating ${fieldType} field:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Creates and integrates the registered custom fields found in a form
+     * Each element gets a single custom field, and native fields nested in it are
+     * handled by the field's native field policy
+     * @private
+     *
+     * @param {Object} tracker - Matomo form tracker instance
+     * @param {HTMLElement} form - Form element
+     */
+    _injectCustomFields(tracker, form) {
+        this._collectFieldCandidates(form).forEach(([fieldType, FieldClass], field) => {
+            if (tracker.fieldNodes.includes(field)) {
+                this.logger.debug(`⏭️ Skipping already tracked ${fieldType} field:`, field);
+                return;
+            }
+
+            const groupPath = getFieldGroupPath(field, form, this.options);
+            const isAggregated = groupPath.length > 0 && this.options.groupNaming === GroupNamingModes.GROUP;
+            const fieldName = this._getFieldName(tracker, form, field, groupPath);
+            if (!fieldName) return;
+
+            const policy = FieldClass.nativeFieldPolicy || this.options.nativeFieldPolicy;
+            let nativeFields = policy === NativeFieldPolicies.BOTH ? [] : this._findNativeFields(tracker, field);
+            if (nativeFields.length > 0 && policy === NativeFieldPolicies.SKIP) {
+                this.logger.debug(`⏭️ Skipping ${fieldType} field wrapping native fields: ${fieldName}`);
+                return;
+            }
+
+            const customField = this._createField(tracker, field, fieldName, fieldType);
+
+            if (customField) {
+                // Composite fields may have added nodes outside their element
+                const extraNodes = this._getExtraNodes(customField);
+                if (extraNodes.length > 0 && policy !== NativeFieldPolicies.BOTH) {
+                    nativeFields = this._findNativeFields(tracker, field, extraNodes);
+                }
+                this._replaceNativeFields(tracker, nativeFields, customField);
+                // Add to tracker, grouped instances are reported through their aggregate
+                if (isAggregated) {
+                    this._addToFieldGroup(tracker, form, customField);
+                } else if (!this._resumeRetiredField(tracker, form, customField)) {
+                    tracker.fields.push(customField);
+                }
+                tracker.fieldNodes.push(field, ...extraNodes.filter(node => !tracker.fieldNodes.includes(node)));
+                // Keep a reference for teardown
+                this.attachedForms.get(form)?.fields.push(customField);
+
+                this.logger.debug(`✅ Integrated custom ${fieldType} field: ${fieldName}`);
+                this.events.emit(TrackerEvents.FIELD_INTEGRATED, { field: customField, form, tracker });
+            }
+        });
+    }
+
+    /**
+     * Replaces a retired field kept under the same name with the field that came back
+     * The new field takes over the retired field's metrics and its place in the tracker,
+     * so hiding and showing a conditional field leaves a single entry
+     * @private
+     *
+     * @param {Object} tracker - Matomo form tracker instance
+     * @param {HTMLElement} form - Form element
+     * @param {BaseField} field - Newly created field
+     * @returns {boolean} True if a retired field was replaced
+     */
+    _resumeRetiredField(tracker, form, field) {
+        const state = this.attachedForms.get(form);
+        const retiredField = state?.retiredFields.find(retired =>
+            retired.fieldName === field.fieldName && retired.fieldType === field.fieldType);
+        const fieldIndex = retiredField ? tracker.fields.indexOf(retiredField) : -1;
+        if (fieldIndex === -1) return false;
+
+        field.resumeFrom(retiredField);
+        tracker.fields.splice(fieldIndex, 1, field);
+        state.retiredFields = state.retiredFields.filter(retired => retired !== retiredField);
+
+        this.logger.debug(`♻️ Resumed retired ${field.fieldType} field: ${field.fieldName}`);
+        return true;
+    }
+
+    /**
+     * Resolves the name of a custom field element
+     * Applies the naming options, the group prefix and the duplicate name policy within the form
+     * @private
+     *
+     * @param {Object} tracker - Matomo form tracker instance
+     * @param {HTMLElement} form - Form element
+     * @param {HTMLElement} element - Custom field element
+     * @param {Array<{name: string, index: number}>} [groupPath] - Enclosing repeatable groups
+     * @returns {string|null} Field name, null if the field should not be tracked
+     */
+    _getFieldName(tracker, form, element, groupPath = []) {
+        const resolvedName = this._resolveFieldName(element);
+        if (!resolvedName) {
+            this.logger.warn(`⚠️ Field has no name (tried ${describeFieldNameResolvers(this.options)}):`, element);
+            return null;
+        }
+
+        const { groupNaming } = this.options;
+        const name = groupPath.length > 0 ? formatGroupedFieldName(resolvedName, groupPath, groupNaming) : resolvedName;
+        // Aggregated group instances share their name on purpose
+        if (groupPath.length > 0 && groupNaming === GroupNamingModes.GROUP) return name;
+
+        // Retired fields may come back under the same name (e.g. conditional fields shown again)
+        const retiredFields = this.attachedForms.get(form)?.retiredFields || [];
+        const takenNames = tracker.fields
+            .filter(field => !retiredFields.includes(field))
+            .map(field => field.fieldName);
+        if (!takenNames.includes(name)) return name;
+
+        switch (this.options.duplicateFieldNames) {
+            case DuplicateNamePolicies.SKIP:
+                this.logger.warn(`⚠️ Skipping field with duplicate name "${name}":`, element);
+                return null;
+            case DuplicateNamePolicies.SUFFIX: {
+                const uniqueName = getUniqueFieldName(name, takenNames);
+                this.logger.debug(`🏷️ Renamed field with duplicate name "${name}" to "${uniqueName}"`);
+                return uniqueName;
+            }
+            default:
+                this.logger.warn(`⚠️ Duplicate field name "${name}" in form:`, element);
+                return name;
+        }
+    }
+
+    /**
+     * Finds the elements of a form matching the registered field classes
+     * An element matching several classes goes to the class with the highest
+     * priority, or the one registered first on a tie
+     * @private
+     *
+     * @param {HTMLElement} form - Form element
+     * @returns {Map<HTMLElement, [string, typeof BaseField]>} Field type and class per element, in discovery order
+     */
+    _collectFieldCandidates(form) {
+        const candidates = new Map();
+        // Web components may render fields inside open shadow roots, collected once for all classes
+        const shadowRoots = getOpenShadowRoots(form);
+
+        // Dynamically get field types and their selectors from registered field classes
+        this._getFieldClassEntries().forEach(([fieldType, FieldClass]) => {
+            // Check if the field class has a selector defined
+            if (!FieldClass.selector) return;
+
+            querySelectorAllDeep(form, FieldClass.selector, shadowRoots).forEach((element) => {
+                const current = candidates.get(element);
+                if (current) {
+                    const winner = FieldClass.priority > current[1].priority ? fieldType : current[0];
+                    this.logger.debug(`🔀 Element matches both ${current[0]} and ${fieldType}, using ${winner}:`, element);
+                    if (winner === current[0]) return;
+                }
+
+                candidates.set(element, [fieldType, FieldClass]);
+            });
+        });
+
+        // Elements excluded by the page, like Matomo does for native fields
+        candidates.forEach(([fieldType], element) => {
+            if (!isIgnoredElement(element)) return;
+
+            this.logger.debug(`🙈 Skipping ${fieldType} field excluded with ${IGNORE_ATTRIBUTE}:`, element);
+            candidates.delete(element);
+        });
+
+        return candidates;
+    }
+
+    /**
+     * Adds a grouped field instance to the aggregate reporting its group
+     * Creates the aggregate and adds it to the Matomo tracker for the first instance
+     * @private
+     *
+     * @param {Object} tracker - Matomo form tracker instance
+     * @param {HTMLElement} form - Form element
+     * @param {BaseField} field - Field instance inside a repeatable group
+     */
+    _addToFieldGroup(tracker, form, field) {
+        const state = this.attachedForms.get(form);
+        let aggregate = state.fieldGroups.get(field.fieldName);
+
+        if (!aggregate) {
+            aggregate = new FieldGroupAggregate(tracker, field.fieldName, field.fieldType, field.category);
+            state.fieldGroups.set(field.fieldName, aggregate);
+            tracker.fields.push(aggregate);
+        }
+
+        aggregate.addMember(field);
+        this.logger.debug(`👥 Aggregated ${field.fieldType} field into ${field.fieldName} (${aggregate.members.length} instances)`);
+    }
+
+    /**
+     * Finds the native Matomo fields whose nodes are nested in an element
+     * or in the nodes a composite field added outside of it
+     * @private
+     *
+     * @param {Object} tracker - Matomo form tracker instance
+     * @param {HTMLElement} element - Custom field element
+     * @param {HTMLElement[]} [extraNodes] - Other nodes of the custom field (see BaseField.addNode)
+     * @returns {Object[]} Native fields of the tracker
+     */
+    _findNativeFields(tracker, element, extraNodes = []) {
+        const isOwnedNode = node => (
+            (node !== element && element.contains(node)) ||
+            extraNodes.some(extraNode => extraNode.contains(node))
+        );
+
+        return tracker.fields.filter(field => (
+            !(field instanceof BaseField) &&
+            !(field instanceof FieldGroupAggregate) &&
+            (field.nodes || []).some(isOwnedNode)
+        ));
+    }
+
+    /**
+     * Gets the nodes a field added besides its element
+     * @private
+     *
+     * @param {BaseField} field - Custom field instance
+     * @returns {HTMLElement[]} Extra nodes
+     */
+    _getExtraNodes(field) {
+        return (field.nodes || []).filter(node => node !== field.element);
+    }
+
+    /**
+     * Removes native fields from the Matomo tracker in favour of a custom field
+     * Their nodes stay in tracker.fieldNodes so native re-scans don't add them again
+     * @private
+     *
+     * @param {Object} tracker - Matomo form tracker instance
+     * @param {Object[]} nativeFields - Native fields to remove
+     * @param {BaseField} customField - Custom field replacing them
+     */
+    _replaceNativeFields(tracker, nativeFields, customField) {
+        if (nativeFields.length === 0) return;
+
+        nativeFields.forEach(field => this._removeFromTracker(tracker, field, null));
+        this.logger.debug(`🔁 Replaced ${nativeFields.length} native field(s) with custom ${customField.fieldType} field: ${customField.fieldName}`);
+    }
+
+    /**
+     * Applies the REPLACE policy to native fields added inside existing custom fields
+     * e.g. by a native re-scan after a widget re-rendered its inputs
+     * @private
+     *
+     * @param {Object} tracker - Matomo form tracker instance
+     * @param {HTMLElement} form - Form element
+     */
+    _replaceNestedNativeFields(tracker, form) {
+        const state = this.attachedForms.get(form);
+        if (!state) return;
+
+        state.fields.forEach((field) => {
+            const policy = field.constructor.nativeFieldPolicy || this.options.nativeFieldPolicy;
+            if (policy !== NativeFieldPolicies.REPLACE) return;
+
+            this._replaceNativeFields(tracker, this._findNativeFields(tracker, field.element, this._getExtraNodes(field)), field);
+        });
+    }
+
+    /**
+     * Re-scans both native tracker and custom fields when new fields appear
+     * Handles pagination and conditional fields
+     * @private
+     *
+     * @param {Object} tracker - Matomo form tracker instance
+     * @param {HTMLElement} form - Form element
+     */
+    _reScanFormFields(tracker, form) {
+        if (!tracker || !form) return;
+
+        // Re-scan the native tracker for new standard fields
+        if (typeof tracker.scanForFields === 'function') {
+            tracker.scanForFields();
+            this.logger.debug('🔄 Re-scanned native tracker for new fields');
+            this._replaceNestedNativeFields(tracker, form);
+        }
+
+        // Re-inject custom fields
+        this._injectCustomFields(tracker, form);
+        this.events.emit(TrackerEvents.FORM_RESCANNED, { form, tracker });
+    }
+
+    /**
+     * Builds the selector for added nodes that should trigger a re-scan
+     * Combines the configured selector with the selectors of the registered field classes,
+     * so custom fields are picked up on any markup, not only Formulate forms
+     * @private
+     *
+     * @returns {string} Combined CSS selector
+     */
+    _getDynamicFieldSelector() {
+        const fieldSelectors = this._getFieldClassEntries()
+            .map(([, FieldClass]) => FieldClass.selector)
+            .filter(Boolean);
+
+        return [this.options.dynamicFieldSelector, ...fieldSelectors].filter(Boolean).join(', ');
+    }
+
+    /**
+     * Sets up MutationObserver to detect new fields appearing
+     * Handles both pagination and conditional fields
+     * @private
+     *
+     * @param {Object} tracker - Matomo form tracker instance
+     * @param {HTMLElement} form - Form element
+     */
+    _setupDynamicFieldObserver(tracker, form) {
+        const state = this.attachedForms.get(form);
+        if (!state) return;
+
+        const dynamicFieldSelector = this._getDynamicFieldSelector();
+
+        const observer = new MutationObserver((mutations) => {
+            let hasNewFields = false;
+            let hasRemovedNodes = false;
+
+            mutations.forEach((mutation) => {
+                if (mutation.removedNodes.length > 0) {
+                    hasRemovedNodes = true;
+                }
+
+                mutation.addedNodes.forEach((node) => {
+                    if (node.nodeType === 1) { // Element node
+                        // Shadow roots of added web components are observed too
+                        const shadowRoots = getOpenShadowRoots(node);
+                        this._observeShadowRoots(state, node, shadowRoots);
+
+                        // Check if new form fields were added (the node itself, within it or its shadow roots)
+                        const isFormField = node.matches && (
+                            node.matches(dynamicFieldSelector) ||
+                            querySelectorDeep(node, dynamicFieldSelector, shadowRoots)
+                        );
+
+                        if (isFormField) {
+                            hasNewFields = true;
+                        }
+                    }
+                });
+            });
+
+            if (hasRemovedNodes && this.options.features.removalDetection) {
+                this._retireRemovedFields(form);
+            }
+
+            if (hasNewFields && this.options.features.dynamicFields) {
+                // Debounce re-scanning to avoid multiple scans for rapid changes
+                if (state.reScanTimeout) {
+                    clearTimeout(state.reScanTimeout);
+                }
+
+                state.reScanTimeout = setTimeout(() => {
+                    this.logger.debug('📄 New fields detected (pagination/conditional), re-scanning...');
+                    this._reScanFormFields(tracker, form);
+                    state.reScanTimeout = null;
+                }, this.options.rescanDebounce);
+            }
+        });
+
+        // Store observer reference for cleanup in detachForm()
+        state.observer = observer;
+        state.observedRoots = new Set();
+
+        // Observe the form for changes
+        observer.observe(form, DYNAMIC_FIELD_OBSERVER_OPTIONS);
+        // Subtree observation stops at shadow roots, so each one is observed on its own
+        this._observeShadowRoots(state, form);
+
+        this.logger.debug('👀 Set up dynamic field observer for pagination/conditional fields');
+    }
+
+    /**
+     * Adds the open shadow roots inside a node to the dynamic field observer of a form
+     * @private
+     *
+     * @param {Object} state - Attached form state
+     * @param {HTMLElement} node - Form or added node
+     * @param {ShadowRoot[]} [shadowRoots] - Open shadow roots of the node, when already collected
+     */
+    _observeShadowRoots(state, node, shadowRoots = getOpenShadowRoots(node)) {
+        if (!state.observer) return;
+
+        shadowRoots.forEach((shadowRoot) => {
+            if (state.observedRoots.has(shadowRoot)) return;
+
+            state.observedRoots.add(shadowRoot);
+            state.observer.observe(shadowRoot, DYNAMIC_FIELD_OBSERVER_OPTIONS);
+            this.logger.debug('👀 Observing shadow root of', shadowRoot.host);
+        });
+    }
+
+    /**
+     * Attaches custom field tracking to a form
+     * Injects the registered custom fields and watches the form for dynamic fields
+     * @private
+     *
+     * @param {Object} tracker - Matomo form tracker instance for the form
+     * @param {HTMLElement} form - Form element
+     */
+    _attachForm(tracker, form) {
+        if (this.attachedForms.has(form)) return;
+
+        // Time spent only counts while the page is in use, from the first attached form on
+        this.clock.start();
+        this.attachedForms.set(form, {
+            tracker,
+            observer: null,
+            reScanTimeout: null,
+            unwatchSubmission: null,
+            lastSubmitTime: 0,
+            flushedActivity: null,
+            fields: [],
+            retiredFields: [],
+            fieldGroups: new Map()
+        });
+        this._injectCustomFields(tracker, form);
+
+        // Set up an observer for dynamic fields (pagination/conditional) and removed fields
+        if (this.options.features.dynamicFields || this.options.features.removalDetection) {
+            this._setupDynamicFieldObserver(tracker, form);
+        }
+        if (this.options.features.submissionDetection) {
+            this.attachedForms.get(form).unwatchSubmission = watchFormSubmission(form, this.options, trigger => this._submitForm(form, trigger));
+        }
+        if (this.options.features.abandonmentFlush) {
+            this._setupPageHideFlush();
+        }
+
+        this.events.emit(TrackerEvents.FORM_ATTACHED, { form, tracker });
+    }
+
+    /**
+     * Resolves a form's tracker instance and attaches to the form once it is found
+     * Reports forms that never get a tracker with a warning and a DOM event
+     * @private
+     *
+     * @param {HTMLElement} form - Form element
+     * @returns {Promise<{form: HTMLElement, tracker: Object|null, attempts: number}>} Lookup result
+     */
+    _resolveAndAttachForm(form) {
+        const generation = this._lookupGeneration;
+        const isCancelled = () => generation !== this._lookupGeneration;
+
+        const lookup = resolveFormTracker(form, target => getFormAnalytics()?.element?.findFormTrackerInstance(target), {
+            initialDelay: this.options.trackerLookupDelay,
+            maxAttempts: this.options.trackerLookupAttempts,
+            backoffFactor: this.options.trackerLookupBackoff,
+            maxDelay: this.options.trackerLookupMaxDelay,
+            isCancelled
+        }).then((result) => {
+            if (isCancelled()) return result;
+            // Forms removed while the lookup was pending are not attached, and looked up again if re-inserted
+            if (!form.isConnected) {
+                if (this._trackerLookups.get(form) === lookup) this._trackerLookups.delete(form);
+                return result;
+            }
+
+            if (result.tracker) {
+                this._attachForm(result.tracker, form);
+            } else {
+                this._reportMissingTracker(form, result.attempts);
+            }
+
+            return result;
+        });
+
+        this._trackerLookups.set(form, lookup);
+        return lookup;
+    }
+
+    /**
+     * Reports a form that never got a FormAnalytics tracker instance
+     * Logs a warning and dispatches a bubbling DOM event on the form
+     * @private
+     *
+     * @param {HTMLElement} form - Form element
+     * @param {number} attempts - Number of lookup attempts made
+     */
+    _reportMissingTracker(form, attempts) {
+        this.logger.warn(`⚠️ No FormAnalytics tracker found for form after ${attempts} attempts, custom fields are not tracked:`, form);
+
+        form.dispatchEvent(new CustomEvent(TRACKER_MISSING_EVENT, {
+            bubbles: true,
+            detail: { form, attempts }
+        }));
+        this.events.emit(TrackerEvents.TRACKER_MISSING, { form, attempts });
+    }
+
+    /**
+     * Finds every form on the page and attaches to the ones Matomo tracks
+     * Does nothing while consent is required and not granted
+     * @private
+     * @returns {Promise<Array>} Lookup results for all forms
+     */
+    _attachAllForms() {
+        if (!this.hasConsent()) {
+            this.logger.debug('🔒 Waiting for consent before tracking custom fields');
+            return Promise.resolve([]);
+        }
+
+        const forms = Array.from(document.querySelectorAll(this.options.formSelector));
+
+        // Keep watching for forms rendered later (modals, lazy sections, SPA routes)
+        if (this.options.features.formDiscovery) {
+            this._setupFormDiscoveryObserver();
+        }
+
+        return Promise.all(forms.map(form => this._resolveAndAttachForm(form)));
+    }
+
+    /**
+     * Finds the forms in a node, including the node itself
+     * @private
+     *
+     * @param {HTMLElement} node - Element to search
+     * @returns {HTMLElement[]} Matching forms
+     */
+    _findForms(node) {
+        const { formSelector } = this.options;
+        const forms = Array.from(node.querySelectorAll(formSelector));
+        return node.matches(formSelector) ? [node, ...forms] : forms;
+    }
+
+    /**
+     * Sets up a MutationObserver on the document that attaches to forms added after init
+     * and detaches from forms that are removed
+     * @private
+     */
+    _setupFormDiscoveryObserver() {
+        if (this._formDiscoveryObserver) return;
+
+        this._formDiscoveryObserver = new MutationObserver((mutations) => {
+            mutations.forEach((mutation) => {
+                mutation.addedNodes.forEach((node) => {
+                    if (node.nodeType !== 1) return; // Element nodes only
+
+                    this._findForms(node).forEach((form) => {
+                        if (this.attachedForms.has(form) || this._trackerLookups.has(form)) return;
+
+                        this.logger.debug('🆕 New form detected, waiting for its tracker...', form);
+                        this._resolveAndAttachForm(form);
+                    });
+                });
+
+                mutation.removedNodes.forEach((node) => {
+                    if (node.nodeType !== 1) return; // Element nodes only
+
+                    Array.from(this.attachedForms.keys()).forEach((form) => {
+                        // Forms that were only moved are connected again by the time the observer runs
+                        if (!form.isConnected && (node === form || node.contains(form))) {
+                            this.detachForm(form);
+                        }
+                    });
+                });
+            });
+        });
+
+        this._formDiscoveryObserver.observe(document.body, {
+            childList: true,
+            subtree: true
+        });
+
+        this.logger.debug('👀 Set up form discovery observer for forms added after init');
+    }
+
+    /**
+     * Disconnects the document-level form discovery observer
+     * @private
+     */
+    _teardownFormDiscoveryObserver() {
+        if (this._formDiscoveryObserver) {
+            this._formDiscoveryObserver.disconnect();
+            this._formDiscoveryObserver = null;
+        }
+    }
+
+    /**
+     * Removes a custom field and/or its element from the Matomo tracker
+     * @private
+     *
+     * @param {Object} tracker - Matomo form tracker instance
+     * @param {BaseField|null} field - Custom field to remove from tracker.fields (null keeps it)
+     * @param {HTMLElement|HTMLElement[]|null} element - Field element(s) to remove from tracker.fieldNodes (null keeps them)
+     */
+    _removeFromTracker(tracker, field, element) {
+        const fieldIndex = field ? tracker.fields.indexOf(field) : -1;
+        if (fieldIndex !== -1) {
+            tracker.fields.splice(fieldIndex, 1);
+        }
+
+        [].concat(element || []).forEach((node) => {
+            const nodeIndex = tracker.fieldNodes.indexOf(node);
+            if (nodeIndex !== -1) {
+                tracker.fieldNodes.splice(nodeIndex, 1);
+            }
+        });
+    }
+
+    /**
+     * Destroys custom fields and removes them from the Matomo tracker
+     * @private
+     *
+     * @param {Object} tracker - Matomo form tracker instance
+     * @param {BaseField[]} fields - Custom fields to remove
+     */
+    _removeCustomFields(tracker, fields) {
+        fields.forEach(field => {
+            // Capture the nodes before destroy() nulls them
+            const nodes = field.nodes || [field.element];
+            field.destroy();
+            this._removeFromTracker(tracker, field, nodes);
+        });
+    }
+
+    /**
+     * Retires custom fields whose element is no longer in the document
+     * Applies the field's removal policy: KEEP leaves the frozen metrics in the tracker,
+     * DROP removes the field from the tracker
+     * @private
+     *
+     * @param {HTMLElement} form - Form element
+     */
+    _retireRemovedFields(form) {
+        const state = this.attachedForms.get(form);
+        if (!state) return;
+
+        // Nodes that were only moved are connected again by the time the observer runs
+        const removedFields = state.fields.filter(field => !field.element.isConnected);
+        if (removedFields.length === 0) return;
+
+        removedFields.forEach(field => {
+            // Capture the nodes before retire() nulls them
+            const nodes = field.nodes;
+            const policy = field.constructor.removalPolicy || this.removalPolicy;
+
+            field.retire();
+            if (policy === RemovalPolicies.DROP) {
+                this._removeFromTracker(state.tracker, field, nodes);
+                this._removeFromFieldGroup(state, field);
+            } else {
+                this._removeFromTracker(state.tracker, null, nodes);
+                // Still removed from the tracker when the form is detached
+                state.retiredFields.push(field);
+            }
+
+            this.logger.debug(`🗑️ Retired removed ${field.fieldType} field (${policy}): ${field.fieldName}`);
+        });
+
+        state.fields = state.fields.filter(field => !removedFields.includes(field));
+    }
+
+    /**
+     * Removes a dropped field instance from its group aggregate
+     * The aggregate leaves the Matomo tracker with its last instance
+     * @private
+     *
+     * @param {Object} state - Attached form state
+     * @param {BaseField} field - Dropped field instance
+     */
+    _removeFromFieldGroup(state, field) {
+        const aggregate = state.fieldGroups.get(field.fieldName);
+        if (!aggregate || aggregate.removeMember(field) > 0) return;
+
+        state.fieldGroups.delete(field.fieldName);
+        this._removeFromTracker(state.tracker, aggregate, null);
+    }
+
+    /**
+     * Attaches to the forms once FormAnalytics is ready
+     * Attaches right away when FormAnalytics has already loaded (e.g. deferred bundles),
+     * otherwise hooks into window.matomoFormAnalyticsAsyncInit without clobbering an
+     * existing callback and reports an error if FormAnalytics never loads
+     * @private
+     */
+    _waitForFormAnalytics() {
+        this._clearFormAnalyticsTimeout();
+
+        if (getFormAnalytics()) {
+            this.logger.debug('🚀 FormAnalytics already loaded, attaching to forms');
+            this._onFormAnalyticsReady();
+            return;
+        }
+
+        // Keep the callback our previous hook was chaining when init() is called again
+        const currentAsyncInit = window.matomoFormAnalyticsAsyncInit;
+        if (currentAsyncInit !== this._asyncInitHook) {
+            this._chainedAsyncInit = typeof currentAsyncInit === 'function' ? currentAsyncInit : null;
+        }
+
+        const owner = this;
+        let isRunning = false;
+        this._asyncInitHook = function (...args) {
+            // Other instances may chain this hook while it chains theirs
+            if (isRunning) return;
+            isRunning = true;
+            owner._clearFormAnalyticsTimeout();
+
+            if (owner._chainedAsyncInit) {
+                try {
+                    owner._chainedAsyncInit.apply(this, args);
+                } catch (error) {
+                    owner.logger.error('Existing matomoFormAnalyticsAsyncInit callback failed:', error);
+                }
+            }
+
+            isRunning = false;
+            owner._onFormAnalyticsReady();
+        };
+        window.matomoFormAnalyticsAsyncInit = this._asyncInitHook;
+
+        this._formAnalyticsTimeout = setTimeout(() => {
+            this._formAnalyticsTimeout = null;
+            this.logger.error(`Matomo FormAnalytics did not load within ${this.options.formAnalyticsTimeout}ms, custom fields are not tracked`);
+        }, this.options.formAnalyticsTimeout);
+    }
+
+    /**
+     * Clears the pending FormAnalytics load timeout
+     * @private
+     */
+    _clearFormAnalyticsTimeout() {
+        if (this._formAnalyticsTimeout) {
+            clearTimeout(this._formAnalyticsTimeout);
+            this._formAnalyticsTimeout = null;
+        }
+    }
+}
@@ -0,0 +1,33 @@
+/**
+ * Consent Modes Enum
+ *
+ * Defines when custom field tracking may start
+ * - NONE: Right away, consent is handled elsewhere or not required
+ * - MANUAL: Once grantConsent() is called, until revokeConsent()
+ * - MATOMO: Whenever Matomo's tracker has consent (requireConsent/rememberConsentGiven)
+ *
+ * @enum {string}
+ */
+export const ConsentModes = {
+    /**
+     * Track without waiting for consent
+     */
+    NONE: 'none',
+    /**
+     * Track once consent is granted through the tracker API
+     */
+    MANUAL: 'manual',
+    /**
+     * Follow the consent state of the Matomo tracker
+     */
+    MATOMO: 'matomo'
+};
+
+/**
+ * Validates if a consent mode is supported
+ * @param {string} mode - Consent mode to validate
+ * @returns {boolean} True if mode is valid
+ */
+export function isValidConsentMode(mode) {
+    return Object.values(ConsentModes).includes(mode);
+}
@@ -0,0 +1,34 @@
+/**
+ * Duplicate Name Policies Enum
+ *
+ * Defines what happens when a custom field resolves to a name already used
+ * by another field of the same form
+ * - WARN: The field is tracked under the duplicate name and a warning is logged
+ * - SUFFIX: The field is tracked under the name with a numeric suffix (name-2, name-3, ...)
+ * - SKIP: The field is not tracked
+ *
+ * @enum {string}
+ */
+export const DuplicateNamePolicies = {
+    /**
+     * Track the field anyway and report the duplicate
+     */
+    WARN: 'warn',
+    /**
+     * Make the name unique with a numeric suffix
+     */
+    SUFFIX: 'suffix',
+    /**
+     * Leave the field untracked
+     */
+    SKIP: 'skip'
+};
+
+/**
+ * Validates if a duplicate name policy is supported
+ * @param {string} policy - Duplicate name policy to validate
+ * @returns {boolean} True if policy is valid
+ */
+export function isValidDuplicateNamePolicy(policy) {
+    return Object.values(DuplicateNamePolicies).includes(policy);
+}
@@ -0,0 +1,28 @@
+/**
+ * Group Naming Modes Enum
+ *
+ * Defines how custom fields inside repeatable groups (e.g. "add another guest") are reported
+ * - INSTANCE: Every instance is reported on its own with an indexed name (guest[2].rating)
+ * - GROUP: All instances are aggregated into a single field (guest.rating)
+ *
+ * @enum {string}
+ */
+export const GroupNamingModes = {
+    /**
+     * One field per group instance, named with the instance index
+     */
+    INSTANCE: 'instance',
+    /**
+     * One aggregated field for all instances of the group
+     */
+    GROUP: 'group'
+};
+
+/**
+ * Validates if a group naming mode is supported
+ * @param {string} mode - Group naming mode to validate
+ * @returns {boolean} True if mode is valid
+ */
+export function isValidGroupNamingMode(mode) {
+    return Object.values(GroupNamingModes).includes(mode);
+}
@@ -0,0 +1,63 @@
+/**
+ * Input Kinds Enum
+ *
+ * Defines the kinds of input counted on top of Matomo's change, deletion and
+ * cursor counters, mostly from the inputType of beforeinput events
+ * - PASTE, CUT, DROP: Clipboard and drag-and-drop edits
+ * - UNDO, REDO: Edit history
+ * - AUTOFILL: Values filled in by the browser
+ * - COMPOSITION: Finished IME compositions (e.g. Japanese or Chinese input)
+ *
+ * @enum {string}
+ */
+export const InputKinds = {
+    /**
+     * Content pasted from the clipboard
+     */
+    PASTE: 'paste',
+    /**
+     * Content cut to the clipboard
+     */
+    CUT: 'cut',
+    /**
+     * Content dropped with drag-and-drop
+     */
+    DROP: 'drop',
+    /**
+     * Edit undone
+     */
+    UNDO: 'undo',
+    /**
+     * Edit redone
+     */
+    REDO: 'redo',
+    /**
+     * Value filled in by browser autofill or autocomplete
+     */
+    AUTOFILL: 'autofill',
+    /**
+     * IME composition finished
+     */
+    COMPOSITION: 'composition'
+};
+
+/**
+ * Maps beforeinput inputType values to the input kind they count as
+ */
+export const INPUT_TYPE_KINDS = {
+    insertFromPaste: InputKinds.PASTE,
+    insertFromPasteAsQuotation: InputKinds.PASTE,
+    deleteByCut: InputKinds.CUT,
+    insertFromDrop: InputKinds.DROP,
+    historyUndo: InputKinds.UNDO,
+    historyRedo: InputKinds.REDO
+};
+
+/**
+ * Validates if an input kind is supported
+ * @param {string} kind - Input kind to validate
+ * @returns {boolean} True if kind is valid
+ */
+export function isValidInputKind(kind) {
+    return Object.values(InputKinds).includes(kind);
+}
@@ -0,0 +1,31 @@
+/**
+ * Log Levels Enum
+ *
+ * Defines the logger levels, from most to least severe.
+ * A logger outputs the messages of its level and all more severe levels.
+ * - SILENT: No output at all
+ * - ERROR: Failures that stop fields or forms from being tracked
+ * - WARN: Problems that may affect tracking (missing attributes, unknown options)
+ * - INFO: High level lifecycle information (forms attached, detached)
+ * - DEBUG: Field integration and user interactions
+ * - TRACE: Very verbose internals
+ *
+ * @enum {string}
+ */
+export const LogLevels = {
+    SILENT: 'silent',
+    ERROR: 'error',
+    WARN: 'warn',
+    INFO: 'info',
+    DEBUG: 'debug',
+    TRACE: 'trace'
+};
+
+/**
+ * Validates if a log level is supported
+ * @param {string} level - Log level to validate
+ * @returns {boolean} True if level is valid
+ */
+export function isValidLogLevel(level) {
+    return Object.values(LogLevels).includes(level);
+}
@@ -0,0 +1,34 @@
+/**
+ * Native Field Policies Enum
+ *
+ * Defines what happens when a custom field wraps native inputs that Matomo
+ * FormAnalytics already tracks (e.g. the radios of a rating widget)
+ * - SKIP: The custom field is not created, the native fields are tracked
+ * - REPLACE: The custom field is tracked and the native fields are removed from the Matomo tracker
+ * - BOTH: Both are tracked (the same interaction may be counted twice)
+ *
+ * @enum {string}
+ */
+export const NativeFieldPolicies = {
+    /**
+     * Leave the element to the native fields
+     */
+    SKIP: 'skip',
+    /**
+     * Track the custom field instead of the native fields
+     */
+    REPLACE: 'replace',
+    /**
+     * Track the custom field and the native fields
+     */
+    BOTH: 'both'
+};
+
+/**
+ * Validates if a native field policy is supported
+ * @param {string} policy - Native field policy to validate
+ * @returns {boolean} True if policy is valid
+ */
+export function isValidNativeFieldPolicy(policy) {
+    return Object.values(NativeFieldPolicies).includes(policy);
+}
@@ -0,0 +1,33 @@
+/**
+ * Pause Reasons Enum
+ *
+ * Defines why the activity clock stops counting time spent
+ * - HIDDEN: The page is hidden (another tab, minimized window)
+ * - BLUR: The browser window lost the focus to another application
+ * - IDLE: No input for longer than the idle timeout
+ *
+ * @enum {string}
+ */
+export const PauseReasons = {
+    /**
+     * The page is not visible
+     */
+    HIDDEN: 'hidden',
+    /**
+     * The window is not focused
+     */
+    BLUR: 'blur',
+    /**
+     * The user stopped interacting with the page
+     */
+    IDLE: 'idle'
+};
+
+/**
+ * Validates if a pause reason is supported
+ * @param {string} reason - Pause reason to validate
+ * @returns {boolean} True if reason is valid
+ */
+export function isValidPauseReason(reason) {
+    return Object.values(PauseReasons).includes(reason);
+}
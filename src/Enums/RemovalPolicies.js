@@ -0,0 +1,29 @@
+/**
+ * Removal Policies Enum
+ *
+ * Defines what happens to a custom field whose element is removed from the form
+ * (e.g. a conditional field that is hidden again or a pagination step that is unmounted)
+ * - KEEP: The field is destroyed but its last metrics stay in the Matomo tracker
+ * - DROP: The field is destroyed and removed from the Matomo tracker
+ *
+ * @enum {string}
+ */
+export const RemovalPolicies = {
+    /**
+     * Keep reporting the metrics collected before the field was removed
+     */
+    KEEP: 'keep',
+    /**
+     * Stop reporting the field altogether
+     */
+    DROP: 'drop'
+};
+
+/**
+ * Validates if a removal policy is supported
+ * @param {string} policy - Removal policy to validate
+ * @returns {boolean} True if policy is valid
+ */
+export function isValidRemovalPolicy(policy) {
+    return Object.values(RemovalPolicies).includes(policy);
+}
@@ -0,0 +1,43 @@
+/**
+ * Submit Triggers Enum
+ *
+ * Defines what detected the submission of a form
+ * - SUBMIT: A submit event bubbled to a form container (e.g. [data-matomo-form] around a <form>)
+ * - BUTTON: A click on an element matching the submitButtonSelector option
+ * - EVENT: The DOM event named by the submitEvent option was dispatched on or in the form
+ * - PROMISE: The promise passed to trackSubmission() resolved
+ * - MANUAL: trackSubmission() was called without a promise
+ *
+ * @enum {string}
+ */
+export const SubmitTriggers = {
+    /**
+     * Submit event on a form container
+     */
+    SUBMIT: 'submit',
+    /**
+     * Click on a submit button
+     */
+    BUTTON: 'button',
+    /**
+     * Custom submit DOM event
+     */
+    EVENT: 'event',
+    /**
+     * Resolved submission promise
+     */
+    PROMISE: 'promise',
+    /**
+     * Direct trackSubmission() call
+     */
+    MANUAL: 'manual'
+};
+
+/**
+ * Validates if a submit trigger is supported
+ * @param {string} trigger - Submit trigger to validate
+ * @returns {boolean} True if trigger is valid
+ */
+export function isValidSubmitTrigger(trigger) {
+    return Object.values(SubmitTriggers).includes(trigger);
+}
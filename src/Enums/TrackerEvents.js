@@ -0,0 +1,87 @@
+/**
+ * Tracker Events Enum
+ *
+ * Defines the events emitted on the tracker and field event buses
+ * - field:* events are emitted on the field and forwarded to the tracker
+ * - form:*, tracker:* and consent:* events are emitted on the tracker only
+ *
+ * @enum {string}
+ */
+export const TrackerEvents = {
+    /**
+     * A custom field was created and added to a form tracker ({ field, form, tracker })
+     */
+    FIELD_INTEGRATED: 'field:integrated',
+    /**
+     * A custom field gained focus ({ field })
+     */
+    FIELD_FOCUS: 'field:focus',
+    /**
+     * A custom field's value changed ({ field })
+     */
+    FIELD_CHANGE: 'field:change',
+    /**
+     * A custom field lost focus ({ field })
+     */
+    FIELD_BLUR: 'field:blur',
+    /**
+     * A deletion was tracked on a custom field ({ field })
+     */
+    FIELD_DELETION: 'field:deletion',
+    /**
+     * A cursor movement was tracked on a custom field ({ field })
+     */
+    FIELD_CURSOR: 'field:cursor',
+    /**
+     * A paste, cut, drop, undo, redo, autofill or IME composition was counted on a custom field ({ field, kind })
+     */
+    FIELD_INPUT: 'field:input',
+    /**
+     * A field opting into value capture recorded a new value ({ field, value, previousValue })
+     */
+    FIELD_VALUE: 'field:value',
+    /**
+     * A validation error was reported on a custom field ({ field, code, message })
+     */
+    FIELD_VALIDATION_ERROR: 'field:validation-error',
+    /**
+     * A custom field was retired because its element was removed ({ field })
+     */
+    FIELD_RETIRED: 'field:retired',
+    /**
+     * A custom field was destroyed ({ field })
+     */
+    FIELD_DESTROYED: 'field:destroyed',
+    /**
+     * Custom field tracking was attached to a form ({ form, tracker })
+     */
+    FORM_ATTACHED: 'form:attached',
+    /**
+     * Custom field tracking was detached from a form ({ form, tracker })
+     */
+    FORM_DETACHED: 'form:detached',
+    /**
+     * A form was re-scanned after new fields appeared ({ form, tracker })
+     */
+    FORM_RESCANNED: 'form:rescanned',
+    /**
+     * The submission of a form was detected and tracked ({ form, tracker, trigger })
+     */
+    FORM_SUBMITTED: 'form:submitted',
+    /**
+     * The page was hidden while a form was in progress, its custom fields were flushed ({ form, tracker })
+     */
+    FORM_ABANDONED: 'form:abandoned',
+    /**
+     * A form never got a FormAnalytics tracker instance ({ form, attempts })
+     */
+    TRACKER_MISSING: 'tracker:missing',
+    /**
+     * Consent to track custom fields was granted ({ mode })
+     */
+    CONSENT_GRANTED: 'consent:granted',
+    /**
+     * Consent was revoked and every form detached ({ mode })
+     */
+    CONSENT_REVOKED: 'consent:revoked'
+};
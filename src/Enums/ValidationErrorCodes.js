@@ -0,0 +1,55 @@
+/**
+ * Validation Error Codes Enum
+ *
+ * Common codes for validation errors reported on custom fields. Any string
+ * can be reported; these keep the codes of different fields comparable
+ * - REQUIRED: A required field was left empty
+ * - TOO_SHORT / TOO_LONG: The content is outside the allowed length
+ * - FORMAT: The content doesn't match the expected format
+ * - INVALID: Any other error, used for automatically detected errors without a code
+ *
+ * @enum {string}
+ */
+export const ValidationErrorCodes = {
+    /**
+     * A required field is empty
+     */
+    REQUIRED: 'required',
+    /**
+     * The content is too short
+     */
+    TOO_SHORT: 'too_short',
+    /**
+     * The content is too long
+     */
+    TOO_LONG: 'too_long',
+    /**
+     * The content has the wrong format
+     */
+    FORMAT: 'format',
+    /**
+     * Unspecified validation error
+     */
+    INVALID: 'invalid'
+};
+
+/**
+ * Default error message selector (validationErrorSelector option)
+ * @type {string}
+ */
+export const DEFAULT_VALIDATION_ERROR_SELECTOR = '.formulate-input-error, [role="alert"]';
+
+/**
+ * Default validation scope selector (validationScopeSelector option)
+ * @type {string}
+ */
+export const DEFAULT_VALIDATION_SCOPE_SELECTOR = '.formulate-input, [data-matomo-validation-scope]';
+
+/**
+ * Validates if a validation error code is one of the common codes
+ * @param {string} code - Validation error code to validate
+ * @returns {boolean} True if code is a common code
+ */
+export function isValidValidationErrorCode(code) {
+    return Object.values(ValidationErrorCodes).includes(code);
+}
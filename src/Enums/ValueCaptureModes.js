@@ -0,0 +1,33 @@
+/**
+ * Value Capture Modes Enum
+ *
+ * Defines how the values of fields opting into value capture are recorded
+ * - RAW: The value itself (ratings, choices from a fixed list)
+ * - HASH: A salted hash of the value, to compare answers without storing them
+ * - BUCKET: The range or label the value falls into
+ *
+ * @enum {string}
+ */
+export const ValueCaptureModes = {
+    /**
+     * Record the value as is
+     */
+    RAW: 'raw',
+    /**
+     * Record a hash of the value
+     */
+    HASH: 'hash',
+    /**
+     * Record the bucket of the value
+     */
+    BUCKET: 'bucket'
+};
+
+/**
+ * Validates if a value capture mode is supported
+ * @param {string} mode - Value capture mode to validate
+ * @returns {boolean} True if mode is valid
+ */
+export function isValidValueCaptureMode(mode) {
+    return Object.values(ValueCaptureModes).includes(mode);
+}
@@ -0,0 +1,109 @@
+/**
+ * EventEmitter Class
+ *
+ * Minimal event bus used by the tracker and by every field.
+ * Errors thrown by handlers are reported through onError and never
+ * interrupt tracking or the remaining handlers.
+ *
+ * @class EventEmitter
+ */
+export class EventEmitter {
+    /**
+     * Creates a new EventEmitter instance
+     *
+     * @param {Function} [onError] - Receives (error, event) when a handler throws
+     */
+    constructor(onError = null) {
+        this._handlers = new Map();
+        this._onError = onError;
+    }
+
+    /**
+     * Subscribes to an event
+     *
+     * @param {string} event - Event name (see TrackerEvents)
+     * @param {Function} handler - Receives the event payload
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, handler) {
+        if (!this._handlers.has(event)) {
+            this._handlers.set(event, new Set());
+        }
+
+        this._handlers.get(event).add(handler);
+        return () => this.off(event, handler);
+    }
+
+    /**
+     * Subscribes to the next occurrence of an event only
+     *
+     * @param {string} event - Event name (see TrackerEvents)
+     * @param {Function} handler - Receives the event payload
+     * @returns {Function} Unsubscribe function
+     */
+    once(event, handler) {
+        const onceHandler = (payload) => {
+            this.off(event, onceHandler);
+            handler(payload);
+        };
+
+        return this.on(event, onceHandler);
+    }
+
+    /**
+     * Unsubscribes from an event
+     * Without a handler, all handlers of the event are removed
+     *
+     * @param {string} event - Event name
+     * @param {Function} [handler] - Handler passed to on()
+     */
+    off(event, handler) {
+        if (!handler) {
+            this._handlers.delete(event);
+            return;
+        }
+
+        const handlers = this._handlers.get(event);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+
+    /**
+     * Whether an event has handlers
+     *
+     * @param {string} event - Event name
+     * @returns {boolean} True if at least one handler is subscribed
+     */
+    hasHandlers(event) {
+        const handlers = this._handlers.get(event);
+        return Boolean(handlers && handlers.size > 0);
+    }
+
+    /**
+     * Emits an event to all its handlers
+     *
+     * @param {string} event - Event name
+     * @param {Object} payload - Event payload
+     */
+    emit(event, payload) {
+        const handlers = this._handlers.get(event);
+        if (!handlers) return;
+
+        // Copy so handlers can unsubscribe while the event is dispatched
+        [...handlers].forEach((handler) => {
+            try {
+                handler(payload);
+            } catch (error) {
+                this._onError && this._onError(error, event);
+            }
+        });
+    }
+
+    /**
+     * Removes all handlers of all events
+     */
+    clear() {
+        this._handlers.clear();
+    }
+}
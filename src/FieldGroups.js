@@ -0,0 +1,232 @@
+import { GroupNamingModes } from './Enums/GroupNamingModes.js';
+
+/**
+ * Gets the name of a group element
+ *
+ * @param {HTMLElement} group - Group element
+ * @param {string} groupNameAttribute - Attribute holding the group name
+ * @returns {string} Group name, 'group' when the attribute is empty
+ */
+function getGroupName(group, groupNameAttribute) {
+    return group.getAttribute(groupNameAttribute) || 'group';
+}
+
+/**
+ * Finds the closest group element enclosing a node, within a form
+ *
+ * @param {HTMLElement} node - Node to start from (excluded)
+ * @param {HTMLElement} form - Form element bounding the search
+ * @param {string} groupSelector - Selector of group elements
+ * @returns {HTMLElement|null} Enclosing group element
+ */
+function getParentGroup(node, form, groupSelector) {
+    const group = node.parentElement ? node.parentElement.closest(groupSelector) : null;
+    return group && group !== form && form.contains(group) ? group : null;
+}
+
+/**
+ * Gets the repeatable groups enclosing a field element, outermost first
+ * The index of a group is its 1-based position among the groups of the same
+ * name in the enclosing group (or the form)
+ *
+ * @param {HTMLElement} element - Field element
+ * @param {HTMLElement} form - Form element
+ * @param {Object} options - Tracker options
+ * @param {string} options.groupSelector - Selector of group elements
+ * @param {string} options.groupNameAttribute - Attribute holding the group name
+ * @returns {Array<{name: string, index: number, element: HTMLElement}>} Enclosing groups
+ */
+export function getFieldGroupPath(element, form, { groupSelector, groupNameAttribute }) {
+    if (!groupSelector) return [];
+
+    const path = [];
+    let group = getParentGroup(element, form, groupSelector);
+    while (group) {
+        const name = getGroupName(group, groupNameAttribute);
+        const scope = getParentGroup(group, form, groupSelector);
+        const siblings = Array.from((scope || form).querySelectorAll(groupSelector)).filter(candidate => (
+            getGroupName(candidate, groupNameAttribute) === name &&
+            getParentGroup(candidate, form, groupSelector) === scope
+        ));
+
+        path.unshift({ name, index: siblings.indexOf(group) + 1, element: group });
+        group = scope;
+    }
+
+    return path;
+}
+
+/**
+ * Builds the reported name of a field inside repeatable groups
+ *
+ * @example
+ * formatGroupedFieldName('rating', [{ name: 'guest', index: 2 }], 'instance') // 'guest[2].rating'
+ * formatGroupedFieldName('rating', [{ name: 'guest', index: 2 }], 'group') // 'guest.rating'
+ *
+ * @param {string} fieldName - Field name
+ * @param {Array<{name: string, index: number}>} path - Enclosing groups, outermost first
+ * @param {string} mode - One of GroupNamingModes
+ * @returns {string} Grouped field name
+ */
+export function formatGroupedFieldName(fieldName, path, mode) {
+    const prefix = path.map(({ name, index }) => (
+        mode === GroupNamingModes.GROUP ? name : `${name}[${index}]`
+    ));
+
+    return [...prefix, fieldName].join('.');
+}
+
+/**
+ * FieldGroupAggregate Class
+ *
+ * Stands in the Matomo tracker for all instances of a field inside a repeatable
+ * group. Every instance keeps tracking its own metrics; the aggregate reports
+ * their sum under a single name.
+ *
+ * @class FieldGroupAggregate
+ */
+export class FieldGroupAggregate {
+    /**
+     * Creates a new FieldGroupAggregate instance
+     *
+     * @param {Object} tracker - Matomo form tracker instance
+     * @param {string} fieldName - Reported name shared by all instances
+     * @param {string} fieldType - Field type of the instances
+     * @param {string} category - Field category of the instances
+     */
+    constructor(tracker, fieldName, fieldType, category) {
+        this.tracker = tracker;
+        this.fieldName = fieldName;
+        this.fieldType = fieldType;
+        this.category = category;
+        this.tagName = 'div';
+        this.nodes = [];
+        this.members = [];
+        // Instance that last had the focus, instances share their name
+        this.lastFocusedMember = null;
+    }
+
+    /**
+     * Creates the tracker an instance reports through
+     * Routes its updates to the aggregate, and tells the instances apart in
+     * lastFocusedFieldName so moving between them counts as a new focus;
+     * everything else goes to the tracker
+     *
+     * @param {BaseField} field - Field instance
+     * @returns {Object} Proxy of the Matomo form tracker
+     */
+    createMemberTracker(field) {
+        return new Proxy(this.tracker, {
+            get: (target, property) => {
+                if (property === 'trackFieldUpdate') return () => target.trackFieldUpdate(this);
+                if (property === 'lastFocusedFieldName' && target.lastFocusedFieldName === this.fieldName) {
+                    return this.lastFocusedMember === field ? this.fieldName : null;
+                }
+
+                return Reflect.get(target, property);
+            },
+            set: (target, property, value) => {
+                if (property === 'lastFocusedFieldName') {
+                    this.lastFocusedMember = value === this.fieldName ? field : null;
+                }
+
+                return Reflect.set(target, property, value);
+            }
+        });
+    }
+
+    /**
+     * Adds a field instance to the aggregate
+     * @param {BaseField} field - Field instance reporting through the aggregate
+     */
+    addMember(field) {
+        this.members.push(field);
+        this.nodes.push(field.element);
+        field.tracker = this.createMemberTracker(field);
+    }
+
+    /**
+     * Removes a field instance from the aggregate
+     * @param {BaseField} field - Field instance
+     * @returns {number} Number of remaining instances
+     */
+    removeMember(field) {
+        const index = this.members.indexOf(field);
+        if (index !== -1) {
+            this.members.splice(index, 1);
+            this.nodes.splice(index, 1);
+        }
+        if (this.lastFocusedMember === field) {
+            this.lastFocusedMember = null;
+        }
+
+        return this.members.length;
+    }
+
+    /**
+     * Sums a tracking parameter over all instances
+     * @param {string} param - Tracking parameter (e.g. fa_fch)
+     * @returns {number} Sum
+     */
+    sum(param) {
+        return this.members.reduce((total, field) => total + (field.getTrackingParams()[param] || 0), 0);
+    }
+
+    /**
+     * Whether every instance is blank
+     * @returns {boolean} True if all instances are blank
+     */
+    isBlank() {
+        return this.members.every(field => field.getTrackingParams().fa_fb === 1);
+    }
+
+    /**
+     * Total size of all instances
+     * @returns {number} Sum of the instance sizes
+     */
+    getFieldSize() {
+        return this.sum('fa_fs');
+    }
+
+    /**
+     * Total time spent in all instances
+     * @returns {number} Time spent in milliseconds
+     */
+    getTimeSpent() {
+        return this.sum('fa_fts');
+    }
+
+    /**
+     * Total hesitation time of all instances
+     * @returns {number} Hesitation time in milliseconds
+     */
+    getHesitationTime() {
+        return this.sum('fa_fht');
+    }
+
+    /**
+     * Gets the aggregated tracking parameters sent to Matomo
+     * @returns {Object} Tracking parameters
+     */
+    getTrackingParams() {
+        return {
+            fa_fn: this.fieldName,
+            fa_ft: this.fieldType,
+            fa_fs: this.getFieldSize(),
+            fa_fb: this.isBlank() ? 1 : 0,
+            fa_fts: this.getTimeSpent(),
+            fa_fht: this.getHesitationTime(),
+            fa_ff: this.sum('fa_ff'),
+            fa_fch: this.sum('fa_fch'),
+            fa_fd: this.sum('fa_fd'),
+            fa_fcu: this.sum('fa_fcu')
+        };
+    }
+
+    /**
+     * Resets the counters of every instance when the form is submitted
+     */
+    resetOnFormSubmit() {
+        this.members.forEach(field => field.resetOnFormSubmit());
+    }
+}
@@ -0,0 +1,123 @@
+/**
+ * Normalizes a field name so it stays stable across markup changes
+ * Lowercases it and replaces every run of other characters than letters
+ * and digits with a single dash
+ *
+ * @example
+ * normalizeFieldName('  How satisfied are you? ') // 'how-satisfied-are-you'
+ *
+ * @param {string} name - Raw field name
+ * @returns {string} Normalized name
+ */
+export function normalizeFieldName(name) {
+    return String(name)
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Reads a fallback name attribute from an element, or from its first descendant that has it
+ * The descendant fallback covers containers wrapping a named input
+ *
+ * @param {HTMLElement} element - Field element
+ * @param {string} attribute - Attribute name (e.g. name, id, aria-label)
+ * @returns {string|null} Attribute value
+ */
+function readNameAttribute(element, attribute) {
+    if (element.hasAttribute(attribute)) {
+        return element.getAttribute(attribute);
+    }
+
+    try {
+        const descendant = element.querySelector(`[${attribute}]`);
+        return descendant ? descendant.getAttribute(attribute) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Creates the field name resolver described by the tracker options
+ * Tries fieldNameAttribute on the element, then each of fieldNameResolvers in order,
+ * then applies fieldNameNormalizer and fieldNameAliases to the first name found
+ *
+ * @param {Object} options - Tracker options
+ * @param {string} options.fieldNameAttribute - Attribute tried first
+ * @param {Array<string|Function>} [options.fieldNameResolvers] - Attribute names or (element) => name functions
+ * @param {boolean|Function} [options.fieldNameNormalizer] - true for normalizeFieldName or (name, element) => name
+ * @param {Object|Function} [options.fieldNameAliases] - Map of name → alias or (name, element) => alias
+ * @returns {Function} (element) => name, null if no resolver found a name
+ */
+export function createFieldNameResolver({
+    fieldNameAttribute,
+    fieldNameResolvers = [],
+    fieldNameNormalizer = null,
+    fieldNameAliases = {}
+}) {
+    const resolvers = (fieldNameResolvers || []).filter(Boolean);
+    const normalize = fieldNameNormalizer === true ? normalizeFieldName : fieldNameNormalizer;
+
+    const resolveRawName = (element) => {
+        // The primary attribute is only read from the element itself
+        const primaryName = fieldNameAttribute && element.getAttribute(fieldNameAttribute);
+        if (primaryName) return primaryName;
+
+        for (const resolver of resolvers) {
+            const value = typeof resolver === 'function'
+                ? resolver(element)
+                : readNameAttribute(element, resolver);
+
+            if (value && String(value).trim()) return String(value);
+        }
+
+        return null;
+    };
+
+    return (element) => {
+        let name = resolveRawName(element);
+        if (!name) return null;
+
+        if (typeof normalize === 'function') {
+            name = normalize(name, element) || name;
+        }
+
+        const alias = typeof fieldNameAliases === 'function'
+            ? fieldNameAliases(name, element)
+            : fieldNameAliases && fieldNameAliases[name];
+
+        return alias || name;
+    };
+}
+
+/**
+ * Describes the resolvers of the tracker options, for log messages
+ *
+ * @param {Object} options - Tracker options
+ * @returns {string} Comma-separated list of resolvers
+ */
+export function describeFieldNameResolvers({ fieldNameAttribute, fieldNameResolvers = [] }) {
+    return [fieldNameAttribute, ...(fieldNameResolvers || [])]
+        .filter(Boolean)
+        .map(resolver => (typeof resolver === 'function' ? resolver.name || 'function' : resolver))
+        .join(', ');
+}
+
+/**
+ * Makes a field name unique by appending a numeric suffix
+ *
+ * @param {string} name - Field name
+ * @param {string[]} takenNames - Names already used in the form
+ * @returns {string} The name itself if free, otherwise name-2, name-3, ...
+ */
+export function getUniqueFieldName(name, takenNames) {
+    if (!takenNames.includes(name)) return name;
+
+    let suffix = 2;
+    while (takenNames.includes(`${name}-${suffix}`)) {
+        suffix++;
+    }
+
+    return `${name}-${suffix}`;
+}
@@ -0,0 +1,129 @@
+import { BaseField } from './BaseField.js';
+import { isValidFieldCategory, getSupportedFieldCategories } from './Enums/FieldCategories.js';
+import { isValidNativeFieldPolicy } from './Enums/NativeFieldPolicies.js';
+import { isValidRemovalPolicy } from './Enums/RemovalPolicies.js';
+
+/**
+ * Methods every field class must implement
+ */
+const ABSTRACT_METHODS = ['getInteractiveElement', 'isBlank', 'getFieldSize'];
+
+/**
+ * Checks whether a string is a valid CSS selector
+ *
+ * @param {string} selector - Selector to check
+ * @returns {boolean} True if the selector can be used with querySelectorAll()
+ */
+function isValidSelector(selector) {
+    try {
+        document.createDocumentFragment().querySelector(selector);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Splits a selector list into its trimmed, whitespace-normalized parts
+ * Only top-level commas separate selectors: commas in :is()/:not() arguments,
+ * attribute selectors and quoted strings are part of their selector
+ *
+ * @param {string} selector - Selector list (e.g. '.a, .b')
+ * @returns {string[]} Individual selectors
+ */
+function splitSelector(selector) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+
+    for (let i = 0; i < selector.length; i++) {
+        const char = selector[i];
+        if (char === '\\') {
+            i++;
+        } else if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '(' || char === '[') {
+            depth++;
+        } else if (char === ')' || char === ']') {
+            depth = Math.max(0, depth - 1);
+        } else if (char === ',' && depth === 0) {
+            parts.push(selector.slice(start, i));
+            start = i + 1;
+        }
+    }
+    parts.push(selector.slice(start));
+
+    return parts.map(part => part.trim().replace(/\s+/g, ' ')).filter(Boolean);
+}
+
+/**
+ * Validates a field class before it is registered
+ * Reports every problem found instead of stopping at the first one
+ *
+ * @param {string} fieldType - Key the class is registered under
+ * @param {Function} FieldClass - Field class to validate
+ * @returns {string[]} Problems found, empty if the class is valid
+ */
+export function validateFieldClass(fieldType, FieldClass) {
+    if (typeof FieldClass !== 'function' || !(FieldClass.prototype instanceof BaseField)) {
+        return [`FieldClass registered as "${fieldType}" must extend BaseField`];
+    }
+
+    const problems = [];
+    const name = FieldClass.name || fieldType;
+
+    if (!FieldClass.fieldType) {
+        problems.push(`${name} must define a static fieldType`);
+    } else if (FieldClass.fieldType !== fieldType) {
+        problems.push(`${name} is registered as "${fieldType}" but its static fieldType is "${FieldClass.fieldType}"`);
+    }
+
+    if (!isValidFieldCategory(FieldClass.category)) {
+        problems.push(`${name} has an invalid category "${FieldClass.category}", expected one of ${getSupportedFieldCategories().join(', ')}`);
+    }
+
+    if (typeof FieldClass.selector !== 'string' || !FieldClass.selector.trim()) {
+        problems.push(`${name} must define a static selector`);
+    } else if (!isValidSelector(FieldClass.selector)) {
+        problems.push(`${name} has an invalid selector "${FieldClass.selector}"`);
+    }
+
+    if (!Number.isFinite(FieldClass.priority)) {
+        problems.push(`${name} has an invalid priority "${FieldClass.priority}", expected a number`);
+    }
+
+    if (FieldClass.nativeFieldPolicy !== null && !isValidNativeFieldPolicy(FieldClass.nativeFieldPolicy)) {
+        problems.push(`${name} has an invalid nativeFieldPolicy "${FieldClass.nativeFieldPolicy}"`);
+    }
+
+    if (FieldClass.removalPolicy !== null && !isValidRemovalPolicy(FieldClass.removalPolicy)) {
+        problems.push(`${name} has an invalid removalPolicy "${FieldClass.removalPolicy}"`);
+    }
+
+    ABSTRACT_METHODS.forEach((method) => {
+        if (FieldClass.prototype[method] === BaseField.prototype[method]) {
+            problems.push(`${name} must implement ${method}()`);
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Finds the selectors two selector lists have in common
+ * Only identical selectors are detected; selectors that merely match the same
+ * elements can't be known before the markup is rendered
+ *
+ * @param {string} selectorA - First selector list
+ * @param {string} selectorB - Second selector list
+ * @returns {string[]} Selectors present in both lists
+ */
+export function getSelectorOverlap(selectorA, selectorB) {
+    if (typeof selectorA !== 'string' || typeof selectorB !== 'string') return [];
+
+    const partsB = splitSelector(selectorB);
+    return splitSelector(selectorA).filter(part => partsB.includes(part));
+}
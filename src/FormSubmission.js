@@ -0,0 +1,92 @@
+/**
+ * Form submission helpers
+ *
+ * Detects submissions Matomo FormAnalytics doesn't see (form containers without
+ * a native submit, AJAX-submitted SPA forms) and tracks them on the form's
+ * FormAnalytics tracker.
+ */
+
+import { SubmitTriggers } from './Enums/SubmitTriggers.js';
+import { getEventTarget } from './ShadowDom.js';
+import { getCommandQueue } from './ValueReporter.js';
+
+/**
+ * Watches a form for submissions
+ * Native <form> elements are left to FormAnalytics, which tracks their submit
+ * event itself; submit events bubbling to other containers and submit button
+ * clicks in them are detected
+ *
+ * @example
+ * const stop = watchFormSubmission(form, { submitButtonSelector: '.wizard-finish' }, (trigger) => {
+ *     console.log(`Submitted by ${trigger}`);
+ * });
+ *
+ * @param {HTMLElement} form - Form element or container
+ * @param {Object} settings - Submission triggers
+ * @param {string|null} [settings.submitButtonSelector] - Clicks on matching elements submit the form, except native forms
+ * @param {string|null} [settings.submitEvent] - Name of a DOM event dispatched on or in the form when it is submitted
+ * @param {Function} onSubmit - Receives the SubmitTriggers value of each detected submission
+ * @returns {Function} Stops watching
+ */
+export function watchFormSubmission(form, { submitButtonSelector = null, submitEvent = null }, onSubmit) {
+    const listeners = [];
+    const listen = (event, handler) => {
+        form.addEventListener(event, handler, true);
+        listeners.push([event, handler]);
+    };
+
+    const isNativeForm = form.tagName === 'FORM';
+    if (!isNativeForm) {
+        listen('submit', () => onSubmit(SubmitTriggers.SUBMIT));
+    }
+    if (submitButtonSelector && !isNativeForm) {
+        listen('click', (event) => {
+            const target = getEventTarget(event);
+            if (target && typeof target.closest === 'function' && target.closest(submitButtonSelector)) {
+                onSubmit(SubmitTriggers.BUTTON);
+            }
+        });
+    }
+    if (submitEvent) {
+        listen(submitEvent, () => onSubmit(SubmitTriggers.EVENT));
+    }
+
+    return () => {
+        listeners.forEach(([event, handler]) => form.removeEventListener(event, handler, true));
+    };
+}
+
+/**
+ * Gets the name Matomo FormAnalytics reports a form under
+ *
+ * @param {HTMLElement} form - Form element or container
+ * @returns {string} data-matomo-name, name or id attribute, empty if none is set
+ */
+function getFormName(form) {
+    return form.getAttribute('data-matomo-name') || form.getAttribute('name') || form.id || '';
+}
+
+/**
+ * Tracks the submission of a form, and optionally a conversion, with FormAnalytics
+ * Uses the methods of the form's tracker instance when it has them, and the
+ * FormAnalytics::trackFormSubmit / trackFormConversion commands otherwise
+ *
+ * @param {Object} tracker - Matomo form tracker instance
+ * @param {HTMLElement} form - Form element or container
+ * @param {boolean} [conversion] - Also track a conversion
+ */
+export function trackMatomoFormSubmit(tracker, form, conversion = false) {
+    if (typeof tracker.trackFormSubmit === 'function') {
+        tracker.trackFormSubmit();
+    } else {
+        getCommandQueue().push(['FormAnalytics::trackFormSubmit', form]);
+    }
+
+    if (!conversion) return;
+
+    if (typeof tracker.trackFormConversion === 'function') {
+        tracker.trackFormConversion();
+    } else {
+        getCommandQueue().push(['FormAnalytics::trackFormConversion', getFormName(form), form.id || '']);
+    }
+}
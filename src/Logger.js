@@ -0,0 +1,197 @@
+import { LogLevels } from './Enums/LogLevels.js';
+
+/**
+ * Severity of each level, lower is more severe
+ * @private
+ */
+const SEVERITY = {
+    [LogLevels.SILENT]: 0,
+    [LogLevels.ERROR]: 1,
+    [LogLevels.WARN]: 2,
+    [LogLevels.INFO]: 3,
+    [LogLevels.DEBUG]: 4,
+    [LogLevels.TRACE]: 5
+};
+
+/**
+ * Creates a sink writing to a console-like object
+ * ERROR and WARN go to error()/warn(), the other levels to log()
+ *
+ * @param {Object} [target] - Console-like object (log, warn, error)
+ * @returns {Function} Sink function
+ */
+export function createConsoleSink(target = console) {
+    return ({ level, namespace, args }) => {
+        const method = level === LogLevels.ERROR || level === LogLevels.WARN ? level : 'log';
+        const output = namespace ? [`[${namespace}]`, ...args] : args;
+        target[method](...output);
+    };
+}
+
+/**
+ * Creates a sink keeping log entries in memory (useful in tests)
+ *
+ * @example
+ * const sink = createMemorySink();
+ * FormAnalyticsCustomFieldTracker.init({ logger: sink, logLevel: 'debug' });
+ * expect(sink.entries).toContainEqual(expect.objectContaining({ level: 'warn' }));
+ *
+ * @param {number} [limit] - Maximum number of entries kept, oldest are dropped first
+ * @returns {Function} Sink function with an entries array
+ */
+export function createMemorySink(limit = 1000) {
+    const sink = (entry) => {
+        sink.entries.push(entry);
+        if (sink.entries.length > limit) {
+            sink.entries.shift();
+        }
+    };
+    sink.entries = [];
+
+    return sink;
+}
+
+/**
+ * Logger Class
+ *
+ * Level-based logger writing entries ({ level, namespace, args, timestamp }) to a sink.
+ * Child loggers add a namespace (e.g. per field type) and share the level and sink of
+ * their root, so changing the level at runtime affects every logger at once.
+ *
+ * @class Logger
+ */
+export class Logger {
+    /**
+     * Creates a new root Logger instance
+     *
+     * @param {Object} [settings] - Logger settings
+     * @param {string} [settings.level] - One of LogLevels (SILENT by default, like the tracker without debug mode)
+     * @param {Function|Object} [settings.sink] - Sink function or console-like object
+     * @param {string} [settings.namespace] - Namespace prefixed to every entry
+     */
+    constructor({ level = LogLevels.SILENT, sink = console, namespace = '' } = {}) {
+        this.namespace = namespace;
+        // Shared between the root and all its children
+        this._config = { level, sink: null };
+        this.setSink(sink);
+    }
+
+    /**
+     * Creates a child logger with a nested namespace
+     *
+     * @param {string} namespace - Namespace of the child (e.g. the field type)
+     * @returns {Logger} Child logger sharing this logger's level and sink
+     */
+    child(namespace) {
+        const child = Object.create(Logger.prototype);
+        child.namespace = this.namespace ? `${this.namespace}:${namespace}` : namespace;
+        child._config = this._config;
+
+        return child;
+    }
+
+    /**
+     * Sets the log level for this logger and all related loggers
+     * @param {string} level - One of LogLevels
+     */
+    setLevel(level) {
+        if (!(level in SEVERITY)) {
+            this.warn(`Unknown log level: ${level}`);
+            return;
+        }
+
+        this._config.level = level;
+    }
+
+    /**
+     * Gets the current log level
+     * @returns {string} One of LogLevels
+     */
+    getLevel() {
+        return this._config.level;
+    }
+
+    /**
+     * Sets where log entries are written to
+     * @param {Function|Object} sink - Sink function or console-like object (log, warn, error)
+     */
+    setSink(sink) {
+        this._config.sink = typeof sink === 'function' ? sink : createConsoleSink(sink || console);
+    }
+
+    /**
+     * Checks whether messages of a level are output
+     * @param {string} level - One of LogLevels
+     * @returns {boolean} True if enabled
+     */
+    isLevelEnabled(level) {
+        return level !== LogLevels.SILENT && SEVERITY[level] <= SEVERITY[this._config.level];
+    }
+
+    /**
+     * Writes an entry to the sink if its level is enabled
+     * @private
+     * @param {string} level - One of LogLevels
+     * @param {Array} args - Message arguments
+     */
+    _write(level, args) {
+        if (!this.isLevelEnabled(level)) return;
+
+        try {
+            this._config.sink({ level, namespace: this.namespace, args, timestamp: Date.now() });
+        } catch (e) {
+            // A failing sink must never break tracking
+        }
+    }
+
+    /**
+     * Logs an error
+     * @param {...*} args - Message arguments
+     */
+    error(...args) {
+        this._write(LogLevels.ERROR, args);
+    }
+
+    /**
+     * Logs a warning
+     * @param {...*} args - Message arguments
+     */
+    warn(...args) {
+        this._write(LogLevels.WARN, args);
+    }
+
+    /**
+     * Logs an informational message
+     * @param {...*} args - Message arguments
+     */
+    info(...args) {
+        this._write(LogLevels.INFO, args);
+    }
+
+    /**
+     * Logs a debug message
+     * @param {...*} args - Message arguments
+     */
+    debug(...args) {
+        this._write(LogLevels.DEBUG, args);
+    }
+
+    /**
+     * Logs a trace message
+     * @param {...*} args - Message arguments
+     */
+    trace(...args) {
+        this._write(LogLevels.TRACE, args);
+    }
+}
+
+/**
+ * Shared root logger used by the tracker and all fields
+ */
+const rootLogger = /*#__PURE__*/ new Logger();
+
+/**
+ * Gets the shared root logger
+ * @returns {Logger} Root logger
+ */
+export const getLogger = () => rootLogger;
@@ -0,0 +1,216 @@
+import { RemovalPolicies } from './Enums/RemovalPolicies.js';
+import { NativeFieldPolicies } from './Enums/NativeFieldPolicies.js';
+import { DuplicateNamePolicies } from './Enums/DuplicateNamePolicies.js';
+import { GroupNamingModes } from './Enums/GroupNamingModes.js';
+import { ConsentModes } from './Enums/ConsentModes.js';
+import { DEFAULT_VALIDATION_ERROR_SELECTOR, DEFAULT_VALIDATION_SCOPE_SELECTOR } from './Enums/ValidationErrorCodes.js';
+
+/**
+ * Default Tracker Options
+ *
+ * Every option can be overridden through the options object passed to init()
+ *
+ * @type {Object}
+ */
+export const DEFAULT_OPTIONS = {
+    /**
+     * Custom fields to register ({ fieldType, FieldClass } entries)
+     */
+    fields: [],
+    /**
+     * Enables debug logging
+     */
+    debug: false,
+    /**
+     * Selector used to discover the forms Matomo may be tracking
+     */
+    formSelector: 'form, [data-matomo-form]',
+    /**
+     * Time in milliseconds to wait for FormAnalytics to load before reporting an error
+     */
+    formAnalyticsTimeout: 10000,
+    /**
+     * Delay in milliseconds before first asking FormAnalytics for a form's tracker instance
+     */
+    trackerLookupDelay: 100,
+    /**
+     * Maximum number of tracker lookups per form before giving up
+     */
+    trackerLookupAttempts: 6,
+    /**
+     * Multiplier applied to the lookup delay after each failed attempt
+     */
+    trackerLookupBackoff: 2,
+    /**
+     * Upper bound in milliseconds for the delay between lookups
+     */
+    trackerLookupMaxDelay: 5000,
+    /**
+     * Debounce in milliseconds for re-scanning a form after new fields appear
+     */
+    rescanDebounce: 300,
+    /**
+     * Selector for added nodes that should trigger a re-scan
+     * The selectors of the registered field classes are always included
+     */
+    dynamicFieldSelector: 'input, select, textarea, [class*="formulate-input-element"]',
+    /**
+     * Attribute holding the field name on custom field elements
+     */
+    fieldNameAttribute: 'data-name',
+    /**
+     * Fallbacks tried in order when fieldNameAttribute is missing:
+     * attribute names (e.g. 'name', 'id', 'aria-label') or (element) => name functions
+     */
+    fieldNameResolvers: [],
+    /**
+     * Normalizes resolved names: true for normalizeFieldName or a (name, element) => name function
+     */
+    fieldNameNormalizer: null,
+    /**
+     * Stable names for resolved (and normalized) names: a map of name → alias
+     * or a (name, element) => alias function
+     */
+    fieldNameAliases: {},
+    /**
+     * What happens when a field's name is already used in the form
+     */
+    duplicateFieldNames: DuplicateNamePolicies.WARN,
+    /**
+     * Selector of repeatable groups (e.g. "add another guest"), null disables group naming
+     */
+    groupSelector: '[data-matomo-group]',
+    /**
+     * Attribute holding the name of a group
+     */
+    groupNameAttribute: 'data-matomo-group',
+    /**
+     * How fields inside groups are reported: indexed per instance (guest[2].rating)
+     * or aggregated per group (guest.rating)
+     */
+    groupNaming: GroupNamingModes.INSTANCE,
+    /**
+     * What happens to custom fields whose element is removed from the form
+     */
+    removalPolicy: RemovalPolicies.KEEP,
+    /**
+     * What happens when a custom field wraps native inputs Matomo already tracks
+     */
+    nativeFieldPolicy: NativeFieldPolicies.REPLACE,
+    /**
+     * Throw on field registration problems instead of logging them
+     */
+    strict: false,
+    /**
+     * Count pastes, drops, undos, redos and autofills as changes of their own and cuts as deletions
+     * Fields can override it with static foldInputCounts
+     */
+    foldInputCounts: false,
+    /**
+     * Milliseconds without input after which time spent stops counting, 0 disables idle detection
+     */
+    idleTimeout: 60000,
+    /**
+     * When tracking may start: right away, after grantConsent() or with Matomo's consent (see ConsentModes)
+     */
+    consent: ConsentModes.NONE,
+    /**
+     * Only report engagement (focus, changes, deletions, cursor moves, time) for every custom field:
+     * no sizes and no value capture, as if every field were sensitive
+     */
+    privacyMode: false,
+    /**
+     * Error message elements counted as validation errors of the field they belong to
+     */
+    validationErrorSelector: DEFAULT_VALIDATION_ERROR_SELECTOR,
+    /**
+     * Wrapper of a field and its error messages; the field element itself when none matches
+     */
+    validationScopeSelector: DEFAULT_VALIDATION_SCOPE_SELECTOR,
+    /**
+     * Clicks on elements matching this selector inside a form container count as its submission;
+     * FormAnalytics tracks native <form> elements itself
+     */
+    submitButtonSelector: null,
+    /**
+     * Name of a DOM event dispatched on a form (or bubbling from inside it) when it is submitted
+     */
+    submitEvent: null,
+    /**
+     * Also track a FormAnalytics conversion for the submissions the tracker detects
+     */
+    trackConversion: false,
+    /**
+     * Where log output is written: a console-like object (log, warn, error)
+     * or a sink function receiving { level, namespace, args, timestamp } entries
+     */
+    logger: console,
+    /**
+     * One of LogLevels; defaults to DEBUG when debug is enabled, WARN otherwise
+     */
+    logLevel: null,
+    /**
+     * Feature toggles
+     */
+    features: {
+        /**
+         * Re-scan forms when new fields are added (pagination/conditional fields)
+         */
+        dynamicFields: true,
+        /**
+         * Retire custom fields whose element is removed from the form
+         */
+        removalDetection: true,
+        /**
+         * Attach to forms added to the page after init and detach from removed forms
+         */
+        formDiscovery: true,
+        /**
+         * Track elements described by data attributes (data-matomo-field) without registering a class
+         */
+        declarativeFields: true,
+        /**
+         * Stop counting time spent while the page is hidden or the browser window is not focused
+         */
+        visibilityPause: true,
+        /**
+         * Report validation errors shown by error containers or aria-invalid on custom fields;
+         * null detects them once a handler listens for FIELD_VALIDATION_ERROR on the tracker
+         * (e.g. createMatomoValidationReporter())
+         */
+        validationErrors: null,
+        /**
+         * Detect submissions FormAnalytics doesn't see: submit events on form containers,
+         * submitButtonSelector clicks and submitEvent events
+         */
+        submissionDetection: true,
+        /**
+         * Flush the custom fields of forms in progress when the page is hidden for good (pagehide)
+         */
+        abandonmentFlush: true
+    }
+};
+
+/**
+ * Resolves the arguments passed to init() into a complete options object
+ * Supports both the options object and the legacy (customFields, debug) signature
+ *
+ * @param {Object|Array} [customFieldsOrOptions] - Options object or array of custom fields
+ * @param {boolean} [debug] - Debug flag (legacy signature only)
+ * @param {Object} [defaults] - Options to merge into (DEFAULT_OPTIONS by default)
+ * @returns {Object} Options merged with the defaults
+ */
+export function resolveOptions(customFieldsOrOptions = {}, debug = false, defaults = DEFAULT_OPTIONS) {
+    if (Array.isArray(customFieldsOrOptions) || !customFieldsOrOptions) {
+        return resolveOptions({ fields: customFieldsOrOptions || [], debug }, false, defaults);
+    }
+
+    return {
+        ...defaults,
+        ...customFieldsOrOptions,
+        features: {
+            ...defaults.features,
+            ...customFieldsOrOptions.features
+        }
+    };
+}
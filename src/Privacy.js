@@ -0,0 +1,118 @@
+/**
+ * Privacy helpers
+ *
+ * Field exclusion and masking attributes, and the consent state of the Matomo
+ * tracker for consent-aware activation (see ConsentModes.MATOMO).
+ */
+
+import { closestDeep } from './ShadowDom.js';
+
+/**
+ * Attribute excluding an element (and everything inside it) from custom field tracking,
+ * the attribute Matomo FormAnalytics uses for native fields
+ */
+export const IGNORE_ATTRIBUTE = 'data-matomo-ignore';
+
+/**
+ * Attribute marking a single field element as sensitive (see BaseField.sensitive)
+ */
+export const SENSITIVE_ATTRIBUTE = 'data-matomo-sensitive';
+
+/**
+ * Matomo tracker commands giving or revoking consent
+ */
+const CONSENT_GIVEN_COMMANDS = ['setConsentGiven', 'rememberConsentGiven'];
+const CONSENT_REVOKED_COMMANDS = ['forgetConsentGiven'];
+
+/**
+ * Whether an element is excluded from tracking by IGNORE_ATTRIBUTE on itself or an ancestor,
+ * including the hosts of the shadow roots it is rendered in
+ *
+ * @param {HTMLElement} element - Field element
+ * @returns {boolean} True if the element must not be tracked
+ */
+export function isIgnoredElement(element) {
+    return Boolean(closestDeep(element, `[${IGNORE_ATTRIBUTE}]`));
+}
+
+/**
+ * Gets the consent change a Matomo command makes
+ *
+ * @param {*} command - Command pushed to _paq, e.g. ['rememberConsentGiven']
+ * @returns {boolean|null} True if it gives consent, false if it revokes it, null otherwise
+ */
+function getConsentChange(command) {
+    if (!Array.isArray(command)) return null;
+    if (CONSENT_GIVEN_COMMANDS.includes(command[0])) return true;
+    if (CONSENT_REVOKED_COMMANDS.includes(command[0])) return false;
+
+    return null;
+}
+
+/**
+ * Whether Matomo remembered the visitor's consent in its cookie
+ * @returns {boolean} True if the mtm_consent cookie is set
+ */
+function hasConsentCookie() {
+    return /(^|;\s*)mtm_consent=/.test(document.cookie);
+}
+
+/**
+ * Reads the consent state of the Matomo tracker
+ * Uses the loaded trackers when available, otherwise replays the commands still
+ * queued in window._paq; falls back to the remembered consent cookie
+ *
+ * @returns {boolean} True if Matomo may track the visitor
+ */
+export function readMatomoConsent() {
+    const matomo = window.Matomo || window.Piwik;
+    const trackers = matomo && typeof matomo.getAsyncTrackers === 'function' ? matomo.getAsyncTrackers() : [];
+
+    if (trackers.length > 0) {
+        return trackers.some(tracker => (
+            (typeof tracker.isConsentRequired === 'function' && !tracker.isConsentRequired()) ||
+            (typeof tracker.hasRememberedConsent === 'function' && tracker.hasRememberedConsent())
+        )) || hasConsentCookie();
+    }
+
+    const queue = window._paq;
+    if (Array.isArray(queue)) {
+        let consent = !queue.some(command => Array.isArray(command) && command[0] === 'requireConsent');
+        queue.forEach((command) => {
+            const change = getConsentChange(command);
+            if (change !== null) consent = change;
+        });
+
+        return consent || hasConsentCookie();
+    }
+
+    return hasConsentCookie();
+}
+
+/**
+ * Calls back when consent commands are pushed to window._paq
+ * Matomo replaces the queue when it loads, so watch again once it has loaded
+ *
+ * @param {Function} onChange - Receives true when consent is given, false when it is revoked
+ * @returns {Function} Stops watching
+ */
+export function watchMatomoConsent(onChange) {
+    const queue = window._paq;
+    if (!queue || typeof queue.push !== 'function') return () => {};
+
+    const originalPush = queue.push;
+    const push = function (...commands) {
+        const result = originalPush.apply(this, commands);
+        commands.forEach((command) => {
+            const change = getConsentChange(command);
+            if (change !== null) onChange(change);
+        });
+
+        return result;
+    };
+    queue.push = push;
+
+    return () => {
+        if (queue.push === push) queue.push = originalPush;
+    };
+}
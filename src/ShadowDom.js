@@ -0,0 +1,129 @@
+/**
+ * Shadow DOM helpers
+ *
+ * Web components (e.g. <x-rating>, <x-editor>) render their controls inside
+ * open shadow roots, which querySelectorAll(), contains() and event.target
+ * don't see through. These helpers cross open shadow roots; closed ones stay
+ * out of reach by design.
+ */
+
+/**
+ * Collects the open shadow roots of an element or document fragment and its descendants
+ *
+ * @param {Element|Document|DocumentFragment} root - Node to search from
+ * @param {ShadowRoot[]} roots - Collected roots
+ */
+function collectShadowRoots(root, roots) {
+    if (root.shadowRoot) {
+        roots.push(root.shadowRoot);
+        collectShadowRoots(root.shadowRoot, roots);
+    }
+
+    root.querySelectorAll('*').forEach((element) => {
+        if (!element.shadowRoot) return;
+
+        roots.push(element.shadowRoot);
+        collectShadowRoots(element.shadowRoot, roots);
+    });
+}
+
+/**
+ * Gets the open shadow roots inside a node, including nested ones and the node's own
+ *
+ * @param {Element|Document|DocumentFragment} root - Node to search from
+ * @returns {ShadowRoot[]} Open shadow roots, in document order
+ */
+export function getOpenShadowRoots(root) {
+    const roots = [];
+    if (root && typeof root.querySelectorAll === 'function') {
+        collectShadowRoots(root, roots);
+    }
+
+    return roots;
+}
+
+/**
+ * querySelectorAll() that also searches open shadow roots
+ *
+ * @param {Element|Document|DocumentFragment} root - Node to search from
+ * @param {string} selector - CSS selector
+ * @param {ShadowRoot[]} [shadowRoots] - Open shadow roots of root, when already collected for several queries
+ * @returns {Element[]} Matching elements, light DOM matches first
+ */
+export function querySelectorAllDeep(root, selector, shadowRoots = getOpenShadowRoots(root)) {
+    return [root, ...shadowRoots].flatMap(scope => Array.from(scope.querySelectorAll(selector)));
+}
+
+/**
+ * querySelector() that also searches open shadow roots
+ *
+ * @param {Element|Document|DocumentFragment} root - Node to search from
+ * @param {string} selector - CSS selector
+ * @param {ShadowRoot[]} [shadowRoots] - Open shadow roots of root, when already collected for several queries
+ * @returns {Element|null} First matching element, light DOM first
+ */
+export function querySelectorDeep(root, selector, shadowRoots = null) {
+    const lightMatch = root.querySelector(selector);
+    if (lightMatch) return lightMatch;
+
+    for (const shadowRoot of shadowRoots || getOpenShadowRoots(root)) {
+        const match = shadowRoot.querySelector(selector);
+        if (match) return match;
+    }
+
+    return null;
+}
+
+/**
+ * contains() that also looks through the shadow roots hosting a node
+ *
+ * @param {Node} ancestor - Possible ancestor, e.g. a field element hosting a shadow root
+ * @param {Node|null} node - Node to check
+ * @returns {boolean} True if node is ancestor or one of its light or shadow descendants
+ */
+export function containsDeep(ancestor, node) {
+    let current = node;
+    while (current) {
+        if (ancestor.contains(current)) return true;
+
+        const rootNode = current.getRootNode ? current.getRootNode() : null;
+        current = rootNode && rootNode !== current ? rootNode.host || null : null;
+    }
+
+    return false;
+}
+
+/**
+ * closest() that also looks through the shadow roots hosting an element
+ *
+ * @param {Element} element - Element to start from
+ * @param {string} selector - CSS selector
+ * @returns {Element|null} Closest matching ancestor, the element itself or a shadow host included
+ */
+export function closestDeep(element, selector) {
+    let current = element;
+    while (current) {
+        const match = current.closest ? current.closest(selector) : null;
+        if (match) return match;
+
+        const rootNode = current.getRootNode ? current.getRootNode() : null;
+        current = rootNode && rootNode !== current ? rootNode.host || null : null;
+    }
+
+    return null;
+}
+
+/**
+ * Gets the element an event originated from, before shadow DOM retargeting
+ *
+ * @param {Event} event - DOM event
+ * @returns {EventTarget|null} Innermost target in an open shadow root, event.target otherwise
+ */
+export function getEventTarget(event) {
+    if (typeof event.composedPath === 'function') {
+        const [target] = event.composedPath();
+        if (target) return target;
+    }
+
+    return event.target;
+}
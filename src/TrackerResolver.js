@@ -0,0 +1,72 @@
+/**
+ * Tracker Resolver
+ *
+ * Looks up the Matomo FormAnalytics tracker instance of a form.
+ * FormAnalytics attaches trackers asynchronously, so the lookup is retried
+ * with exponential backoff until it succeeds or the attempts run out.
+ *
+ * @module TrackerResolver
+ */
+
+/**
+ * Name of the DOM event dispatched on a form that never got a tracker
+ * @type {string}
+ */
+export const TRACKER_MISSING_EVENT = 'matomo-custom-fields:tracker-missing';
+
+/**
+ * Resolves the tracker instance of a form
+ *
+ * @example
+ * const { tracker, attempts } = await resolveFormTracker(form, lookup, {
+ *     initialDelay: 100,
+ *     maxAttempts: 5,
+ *     backoffFactor: 2,
+ *     maxDelay: 5000
+ * });
+ *
+ * @param {HTMLElement} form - Form element
+ * @param {Function} lookup - Returns the tracker for a form, or a falsy value if there is none yet
+ * @param {Object} settings - Retry settings
+ * @param {number} settings.initialDelay - Delay in milliseconds before the first attempt
+ * @param {number} settings.maxAttempts - Maximum number of attempts
+ * @param {number} settings.backoffFactor - Multiplier applied to the delay after each failed attempt
+ * @param {number} settings.maxDelay - Upper bound for the delay between attempts
+ * @param {Function} [settings.isCancelled] - Stops retrying when it returns true
+ * @returns {Promise<{form: HTMLElement, tracker: Object|null, attempts: number}>} Resolves with the
+ *          tracker, or a null tracker when the attempts ran out or the lookup was cancelled
+ */
+export function resolveFormTracker(form, lookup, settings) {
+    const {
+        initialDelay,
+        maxAttempts,
+        backoffFactor,
+        maxDelay,
+        isCancelled = () => false
+    } = settings;
+
+    return new Promise((resolve) => {
+        let attempts = 0;
+
+        const attempt = (delay) => {
+            setTimeout(() => {
+                if (isCancelled()) {
+                    resolve({ form, tracker: null, attempts });
+                    return;
+                }
+
+                attempts++;
+                const tracker = lookup(form) || null;
+
+                if (tracker || attempts >= maxAttempts) {
+                    resolve({ form, tracker, attempts });
+                    return;
+                }
+
+                attempt(Math.min(Math.max(delay, 1) * backoffFactor, maxDelay));
+            }, delay);
+        };
+
+        attempt(initialDelay);
+    });
+}
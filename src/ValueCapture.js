@@ -0,0 +1,98 @@
+import { ValueCaptureModes } from './Enums/ValueCaptureModes.js';
+
+/**
+ * Value capture settings applied under the ones of a field class
+ *
+ * @type {{mode: string, historyLimit: number, salt: string, buckets: Array<number>|Function|null}}
+ */
+export const DEFAULT_VALUE_CAPTURE = {
+    mode: ValueCaptureModes.RAW,
+    historyLimit: 10,
+    salt: '',
+    buckets: null
+};
+
+/**
+ * Turns a field value into the string recorded for it
+ *
+ * @param {*} value - Field value (string, number, boolean or array of those)
+ * @returns {string|null} Comma separated for arrays, null for empty values
+ */
+export function serializeValue(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (Array.isArray(value)) {
+        return value.length ? value.map(String).join(',') : null;
+    }
+
+    return String(value);
+}
+
+/**
+ * Hashes a value with 32-bit FNV-1a
+ * Keeps raw answers out of analytics while equal answers still share a hash.
+ * This is pseudonymization, not encryption: short value sets can be brute-forced,
+ * a secret salt makes that harder
+ *
+ * @example
+ * hashValue('blue', 'survey-2024') // 8 hexadecimal digits
+ *
+ * @param {string} value - Serialized value
+ * @param {string} [salt] - Prepended to the value before hashing
+ * @returns {string} Hash as 8 hexadecimal digits
+ */
+export function hashValue(value, salt = '') {
+    const input = `${salt}${value}`;
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < input.length; i++) {
+        hash ^= input.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Gets the bucket of a value
+ *
+ * @example
+ * bucketValue(4, [2, 4]) // '<=4'
+ * bucketValue(5, [2, 4]) // '>4'
+ * bucketValue('maybe', (value) => (value === 'yes' ? 'yes' : 'other')) // 'other'
+ *
+ * @param {*} value - Field value
+ * @param {Array<number>|Function} buckets - Ascending upper bounds, or (value) => label
+ * @returns {string} Bucket label, 'other' for non-numeric values with bound buckets
+ */
+export function bucketValue(value, buckets) {
+    if (typeof buckets === 'function') {
+        return String(buckets(value));
+    }
+
+    const number = Number(value);
+    if (!Array.isArray(buckets) || !buckets.length || Number.isNaN(number)) return 'other';
+
+    const bound = buckets.find(upper => number <= upper);
+    return bound !== undefined ? `<=${bound}` : `>${buckets[buckets.length - 1]}`;
+}
+
+/**
+ * Records a field value according to value capture settings
+ *
+ * @param {*} value - Field value, as returned by getValue()
+ * @param {Object} options - Value capture settings (see DEFAULT_VALUE_CAPTURE)
+ * @returns {string|null} Recorded value, null for empty values
+ */
+export function formatCapturedValue(value, { mode, salt, buckets }) {
+    const serialized = serializeValue(value);
+    if (serialized === null) return null;
+
+    switch (mode) {
+        case ValueCaptureModes.HASH:
+            return hashValue(serialized, salt);
+        case ValueCaptureModes.BUCKET:
+            return bucketValue(Array.isArray(value) ? serialized : value, buckets);
+        default:
+            return serialized;
+    }
+}
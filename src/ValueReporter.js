@@ -0,0 +1,82 @@
+import { TrackerEvents } from './Enums/TrackerEvents.js';
+
+/**
+ * Gets the Matomo command queue, creating it like the tracking snippet does
+ *
+ * @returns {Array} window._paq
+ */
+export function getCommandQueue() {
+    window._paq = window._paq || [];
+    return window._paq;
+}
+
+/**
+ * Sends the values recorded by fields opting into value capture to Matomo,
+ * next to FormAnalytics
+ *
+ * Every recorded value is sent as a Matomo event (category, field name, value,
+ * number of changes so far), so the event reports show the distribution of the
+ * values and how often users changed their mind. Fields mapped in dimensions
+ * also set a custom dimension, sent with the following tracking requests.
+ *
+ * @example
+ * const stop = createMatomoValueReporter(FormAnalyticsCustomFieldTracker, {
+ *     category: 'Survey Answers',
+ *     dimensions: { satisfaction: 4 }
+ * });
+ *
+ * @param {Object} source - Tracker or field to subscribe to (anything with on())
+ * @param {Object} [options] - Reporter options
+ * @param {string} [options.category] - Matomo event category
+ * @param {Object|Function} [options.dimensions] - Map of field name → custom dimension ID,
+ *        or (field) => ID; fields without an ID set no dimension
+ * @param {boolean} [options.events] - Send a Matomo event per recorded value
+ * @param {Array} [options.paq] - Command queue, window._paq by default
+ * @returns {Function} Stops reporting
+ */
+export function createMatomoValueReporter(source, {
+    category = 'Form Field Values',
+    dimensions = {},
+    events = true,
+    paq = null
+} = {}) {
+    const push = command => (paq || getCommandQueue()).push(command);
+
+    return source.on(TrackerEvents.FIELD_VALUE, ({ field, value }) => {
+        const dimensionId = typeof dimensions === 'function' ? dimensions(field) : dimensions[field.fieldName];
+        if (dimensionId) {
+            push(['setCustomDimension', dimensionId, value === null ? '' : value]);
+        }
+
+        if (events && value !== null) {
+            push(['trackEvent', category, field.fieldName, value, field.numValueChanges]);
+        }
+    });
+}
+
+/**
+ * Sends the validation errors of custom fields to Matomo as events
+ *
+ * Every error is an event with the field name as action and the error code as
+ * name, so the event reports count the errors per field and per code, showing
+ * which questions cause the most friction.
+ *
+ * @example
+ * const stop = createMatomoValidationReporter(FormAnalyticsCustomFieldTracker, { category: 'Survey Errors' });
+ *
+ * @param {Object} source - Tracker or field to subscribe to (anything with on())
+ * @param {Object} [options] - Reporter options
+ * @param {string} [options.category] - Matomo event category
+ * @param {Array} [options.paq] - Command queue, window._paq by default
+ * @returns {Function} Stops reporting
+ */
+export function createMatomoValidationReporter(source, {
+    category = 'Form Validation Errors',
+    paq = null
+} = {}) {
+    const push = command => (paq || getCommandQueue()).push(command);
+
+    return source.on(TrackerEvents.FIELD_VALIDATION_ERROR, ({ field, code }) => {
+        push(['trackEvent', category, field.fieldName, code]);
+    });
+}
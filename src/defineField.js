@@ -0,0 +1,239 @@
+import { BaseField } from './BaseField.js';
+import { isValidFieldCategory } from './Enums/FieldCategories.js';
+import { containsDeep } from './ShadowDom.js';
+
+/**
+ * Event modes of defined fields
+ * - input: focus, blur, input and keydown on the interactive element (text-like widgets)
+ * - click: each click on the interactive element completes a focus → change → blur cycle
+ */
+const EVENT_MODES = ['input', 'click'];
+
+/**
+ * Resolves an interactive element option against a field
+ *
+ * @param {BaseField} field - Field instance
+ * @param {string|Function|null} interactive - Selector, resolver function or null for the field element
+ * @returns {HTMLElement|null} Interactive element
+ */
+function resolveInteractive(field, interactive) {
+    if (typeof interactive === 'function') {
+        return interactive(field);
+    }
+    if (typeof interactive === 'string') {
+        return field.element.matches(interactive) ? field.element : field.query(interactive);
+    }
+
+    return field.element;
+}
+
+/**
+ * Gets the text length of an element (value for form controls, text content otherwise)
+ *
+ * @param {HTMLElement|null} element - Element to measure
+ * @returns {number} Text length
+ */
+function getTextLength(element) {
+    if (!element) return 0;
+    if (typeof element.value === 'string') return element.value.length;
+
+    return (element.textContent || '').length;
+}
+
+/**
+ * Generates a BaseField subclass from a declarative definition
+ * Covers simple widgets without writing a class: the interactive element, size,
+ * blank check and listeners are described by selectors or small functions
+ *
+ * @example
+ * // Count clicks on a call-to-action button
+ * const CtaField = defineField({
+ *     fieldType: 'cta',
+ *     category: FieldCategories.SELECTABLE,
+ *     selector: '.cta[data-name]',
+ *     interactive: '.cta__button',
+ *     events: 'click'
+ * });
+ *
+ * // The size is the number of checked items
+ * const ChipsField = defineField({
+ *     fieldType: 'chips',
+ *     category: FieldCategories.CHECKABLE,
+ *     selector: '.chips[data-name]',
+ *     interactive: '.chip',
+ *     size: '.chip[aria-checked="true"]',
+ *     events: 'click'
+ * });
+ *
+ * @param {Object} definition - Field definition
+ * @param {string} definition.fieldType - Field type identifier
+ * @param {string} definition.category - One of FieldCategories
+ * @param {string} definition.selector - CSS selector of the field containers
+ * @param {string|Function} [definition.interactive] - Selector inside the container or (field) => element,
+ *        the container itself by default
+ * @param {string|Function} [definition.size] - Selector whose matches inside the container are counted, or
+ *        (field) => number; defaults to the click count in click mode and the text length in input mode
+ * @param {Function} [definition.blank] - (field) => boolean, a size of 0 by default
+ * @param {Function} [definition.value] - (field) => value returned by getValue(), for value capture
+ * @param {Object} [definition.valueCapture] - Opts the field into value capture (see BaseField.valueCapture)
+ * @param {string|Object|Function} [definition.events] - 'input' (default), 'click', a map of
+ *        event name → (field, event) => void on the interactive element, or (field) => void to set up listeners
+ * @param {Object} [definition.selectors] - Named inner selectors, overridable with configure()
+ * @returns {typeof BaseField} Generated field class
+ * @throws {Error} If the definition is incomplete or invalid
+ */
+export function defineField({
+    fieldType,
+    category,
+    selector,
+    interactive = null,
+    size = null,
+    blank = null,
+    value = null,
+    valueCapture = null,
+    events = 'input',
+    selectors = {}
+} = {}) {
+    if (!fieldType || !selector) {
+        throw new Error('defineField() requires fieldType and selector');
+    }
+    if (!isValidFieldCategory(category)) {
+        throw new Error(`defineField() got an invalid category for ${fieldType}: ${category}`);
+    }
+    if (typeof events === 'string' && !EVENT_MODES.includes(events)) {
+        throw new Error(`defineField() got an unknown event mode for ${fieldType}: ${events}`);
+    }
+
+    const DefinedField = class extends BaseField {
+        static fieldType = fieldType;
+        static category = category;
+        static selector = selector;
+        static selectors = selectors;
+        static valueCapture = valueCapture;
+
+        /**
+         * Definition the class was generated from
+         * @static
+         */
+        static definition = { interactive, size, blank, value, events };
+
+        /**
+         * @inheritDoc
+         */
+        constructor(tracker, element, fieldName) {
+            super(tracker, element, fieldName);
+            // Per-instance copy, so subclasses can adapt it to the element
+            this.definition = { ...this.constructor.definition };
+            this.clickCount = 0;
+        }
+
+        /**
+         * @inheritDoc
+         */
+        getInteractiveElement() {
+            return resolveInteractive(this, this.definition.interactive);
+        }
+
+        /**
+         * @inheritDoc
+         */
+        isBlank() {
+            const { blank: isBlank } = this.definition;
+            return typeof isBlank === 'function' ? !!isBlank(this) : this.getFieldSize() === 0;
+        }
+
+        /**
+         * @inheritDoc
+         */
+        getFieldSize() {
+            const { size: fieldSize, events: mode } = this.definition;
+
+            if (typeof fieldSize === 'function') {
+                return Number(fieldSize(this)) || 0;
+            }
+            if (typeof fieldSize === 'string') {
+                return this.queryAll(fieldSize).length;
+            }
+
+            return mode === 'click' ? this.clickCount : getTextLength(this.getInteractiveElement());
+        }
+
+        /**
+         * @inheritDoc
+         */
+        getValue() {
+            const { value: getFieldValue } = this.definition;
+            return typeof getFieldValue === 'function' ? getFieldValue(this) : null;
+        }
+
+        /**
+         * Sets up the listeners described by the definition's events
+         */
+        setupEventListeners() {
+            const { events: mode } = this.definition;
+
+            if (typeof mode === 'function') {
+                mode(this);
+                return;
+            }
+            if (mode === 'click') {
+                this.setupClickEventListeners();
+                return;
+            }
+            if (mode && typeof mode === 'object') {
+                this.setupMappedEventListeners(mode);
+                return;
+            }
+
+            this.setupDefaultEventListeners();
+        }
+
+        /**
+         * Sets up the selectable widget listeners on the field container
+         * Every activation of the interactive element (click, tap, Enter/Space) is counted
+         */
+        setupClickEventListeners() {
+            const { interactive: target } = this.definition;
+
+            if (typeof target === 'string') {
+                this.setupSelectableEventListeners(target);
+                return;
+            }
+
+            this.setupSelectableEventListeners((eventTarget) => {
+                const interactive = this.getInteractiveElement();
+                return interactive && containsDeep(interactive, eventTarget) ? interactive : null;
+            });
+        }
+
+        /**
+         * Counts the activation
+         * @inheritDoc
+         */
+        onItemActivate(item) {
+            this.clickCount++;
+            super.onItemActivate(item);
+        }
+
+        /**
+         * Sets up listeners from an event name → handler map on the interactive element
+         * @param {Object} handlers - Map of event name → (field, event) => void
+         */
+        setupMappedEventListeners(handlers) {
+            const interactiveElement = this.getInteractiveElement();
+            if (!interactiveElement) {
+                this.logger.warn(`${this.fieldType.toUpperCase()} interactive element not found:`, this.element);
+                return;
+            }
+
+            Object.entries(handlers).forEach(([event, handler]) => {
+                this._addTrackedEventListener(interactiveElement, event, (domEvent) => handler(this, domEvent));
+            });
+        }
+    };
+
+    // Readable class name for error and debug messages
+    Object.defineProperty(DefinedField, 'name', { value: `DefinedField(${fieldType})` });
+
+    return DefinedField;
+}
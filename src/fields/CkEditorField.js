@@ -0,0 +1,19 @@
+import { WysiwygField } from './WysiwygField.js';
+
+/**
+ * CKEditor Field
+ *
+ * Tracks CKEditor 5 editables as well as CKEditor 4 inline and classic (iframe) editors.
+ *
+ * @class CkEditorField
+ * @extends WysiwygField
+ */
+export class CkEditorField extends WysiwygField {
+    static fieldType = 'ckeditor';
+    static selector = '.ckeditor[data-name]';
+    static selectors = {
+        editor: '.ck-editor__editable[contenteditable="true"], .cke_editable[contenteditable="true"]',
+        frame: 'iframe.cke_wysiwyg_frame',
+        frameEditor: '[contenteditable="true"]'
+    };
+}
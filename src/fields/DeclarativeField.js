@@ -0,0 +1,65 @@
+import { defineField } from '../defineField.js';
+import { FieldCategories, isValidFieldCategory } from '../Enums/FieldCategories.js';
+
+/**
+ * Declarative Field
+ *
+ * Tracks widgets described entirely by data attributes, no JavaScript needed:
+ *
+ *     <div data-matomo-field="rating" data-name="satisfaction"
+ *          data-matomo-interactive=".star" data-matomo-size="[aria-checked=true]">
+ *
+ * The data-matomo-field value is used as the field type. Clicks on the
+ * interactive items are tracked by default; set data-matomo-events="input"
+ * for text-like widgets.
+ *
+ * @class DeclarativeField
+ * @extends BaseField
+ */
+export class DeclarativeField extends /*#__PURE__*/ defineField({
+    fieldType: 'declarative',
+    category: FieldCategories.SELECTABLE,
+    selector: '[data-matomo-field]',
+    events: 'click'
+}) {
+    /**
+     * Data attributes read from the field element
+     * @static
+     */
+    static attributes = {
+        fieldType: 'data-matomo-field',
+        category: 'data-matomo-category',
+        interactive: 'data-matomo-interactive',
+        size: 'data-matomo-size',
+        events: 'data-matomo-events'
+    };
+
+    /**
+     * @inheritDoc
+     */
+    constructor(tracker, element, fieldName) {
+        super(tracker, element, fieldName);
+
+        const { attributes } = this.constructor;
+        const read = name => element.getAttribute(attributes[name]) || null;
+
+        this.fieldType = read('fieldType') || this.fieldType;
+
+        // Accepts the FieldCategories values as well as their short names (text, selectable, checkable)
+        const category = read('category');
+        const resolvedCategory = category && (FieldCategories[category.toUpperCase()] || category);
+        if (isValidFieldCategory(resolvedCategory)) {
+            this.category = resolvedCategory;
+        } else if (category) {
+            this.logger.warn(`⚠️ Unknown category "${category}" on ${this.fieldType} field, using ${this.category}`);
+        }
+
+        const events = read('events');
+        this.definition = {
+            ...this.definition,
+            interactive: read('interactive'),
+            size: read('size'),
+            events: events === 'input' ? 'input' : 'click'
+        };
+    }
+}
@@ -0,0 +1,127 @@
+import { BaseField } from '../BaseField.js';
+import { FieldCategories } from '../Enums/FieldCategories.js';
+
+/**
+ * File Drop Field
+ *
+ * Tracks drag-and-drop upload zones (Dropzone, FilePond, custom zones).
+ * Dragging files over the zone or opening the file dialog counts as focus,
+ * adding files counts as a change and removing a file counts as a deletion.
+ *
+ * @class FileDropField
+ * @extends BaseField
+ */
+export class FileDropField extends BaseField {
+    static fieldType = 'fileDrop';
+    static category = FieldCategories.SELECTABLE;
+    static selector = '.file-drop[data-name]';
+    static selectors = {
+        input: 'input[type="file"]',
+        // Rendered entries for files that have been added to the zone
+        file: '.file-drop__file, [data-file]',
+        remove: '[data-action="remove"], .file-drop__remove'
+    };
+
+    /**
+     * @inheritDoc
+     */
+    constructor(tracker, element, fieldName) {
+        super(tracker, element, fieldName);
+        this.droppedFileCount = 0;
+        // Set while the file dialog is open, see setupEventListeners()
+        this.isFileDialogOpen = false;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    getInteractiveElement() {
+        return this.element;
+    }
+
+    /**
+     * Gets the file input of the zone, if any
+     * @returns {HTMLInputElement|null} File input
+     */
+    getFileInput() {
+        return this.query(this.constructor.selectors.input);
+    }
+
+    /**
+     * @inheritDoc
+     */
+    isBlank() {
+        return this.getFieldSize() === 0;
+    }
+
+    /**
+     * Number of files in the zone
+     * Prefers the rendered file entries, then the file input, then the dropped file count
+     * @inheritDoc
+     */
+    getFieldSize() {
+        const renderedFiles = this.queryAll(this.constructor.selectors.file).length;
+        if (renderedFiles) return renderedFiles;
+
+        const input = this.getFileInput();
+        if (input && input.files && input.files.length) return input.files.length;
+
+        return this.droppedFileCount;
+    }
+
+    /**
+     * Sets up drag-and-drop, file dialog and remove listeners on the zone
+     */
+    setupEventListeners() {
+        this._addTrackedEventListener(this.element, 'dragenter', () => {
+            this.cancelDelayedBlur();
+            this.trackFirstInteraction();
+        });
+
+        this._addTrackedEventListener(this.element, 'dragleave', (event) => {
+            if (this.containsNode(event.relatedTarget)) return;
+            this.scheduleDelayedBlur();
+        });
+
+        this._addTrackedEventListener(this.element, 'drop', (event) => {
+            const files = event.dataTransfer ? event.dataTransfer.files : null;
+            this.droppedFileCount += files ? files.length : 0;
+            this.onChange();
+            this.scheduleDelayedBlur();
+        });
+
+        this._addTrackedEventListener(this.element, 'click', (event) => {
+            if (this.getEventTarget(event).closest?.(this.constructor.selectors.remove)) {
+                this.logger.debug(`⚡️ ${this.fieldType.toUpperCase()} file removed (${this.fieldName})`);
+                this.trackFirstInteraction();
+                this.droppedFileCount = Math.max(0, this.droppedFileCount - 1);
+                this.trackDeletion();
+                this.onChange();
+                this.scheduleDelayedBlur();
+                return;
+            }
+
+            // Opening the file dialog
+            this.cancelDelayedBlur();
+            this.trackFirstInteraction();
+            this.isFileDialogOpen = true;
+        });
+
+        // A cancelled file dialog fires no change: the session ends once the window gets the focus back
+        this._addTrackedEventListener(window, 'focus', () => {
+            if (!this.isFileDialogOpen) return;
+
+            this.isFileDialogOpen = false;
+            this.scheduleDelayedBlur();
+        });
+
+        const input = this.getFileInput();
+        if (input) {
+            this._addTrackedEventListener(input, 'change', () => {
+                this.isFileDialogOpen = false;
+                this.onChange();
+                this.scheduleDelayedBlur();
+            });
+        }
+    }
+}
@@ -0,0 +1,152 @@
+import { BaseField } from '../BaseField.js';
+import { FieldCategories } from '../Enums/FieldCategories.js';
+
+/**
+ * Image Selector Field
+ *
+ * Tracks image choice widgets where one or more images can be selected.
+ * Selection state is read from the DOM (classes, ARIA state or a checked input
+ * inside the image container), so single and multiple selection both work.
+ *
+ * @class ImageSelectorField
+ * @extends BaseField
+ */
+export class ImageSelectorField extends BaseField {
+    static fieldType = 'imageSelector';
+    static category = FieldCategories.CHECKABLE;
+    static selector = '.image-selector[data-name]';
+    static selectors = {
+        // A single selectable image container
+        image: '.image-selector__item, [data-image-value]',
+        // Selected state of an image container, either on the container itself or on a child
+        selected: '.is-selected, [aria-checked="true"], [aria-selected="true"], :checked'
+    };
+
+    /**
+     * @inheritDoc
+     */
+    constructor(tracker, element, fieldName) {
+        super(tracker, element, fieldName);
+        this.lastSelectedValue = this.getSelectedValue();
+        this.lastSelectedCount = this.getFieldSize();
+    }
+
+    /**
+     * Image containers currently rendered in the field
+     * @returns {NodeList} Image containers
+     */
+    get imageContainers() {
+        return this.queryAll(this.constructor.selectors.image);
+    }
+
+    /**
+     * @inheritDoc
+     */
+    getInteractiveElement() {
+        return this.imageContainers;
+    }
+
+    /**
+     * Gets the selected image containers
+     * @returns {HTMLElement[]} Selected image containers
+     */
+    getSelectedImages() {
+        const { selected } = this.constructor.selectors;
+        return Array.from(this.imageContainers).filter(image => (
+            image.matches(selected) || !!image.querySelector(selected)
+        ));
+    }
+
+    /**
+     * Gets the value of the selected images
+     * Uses data-image-value, data-value or the value of a checked input,
+     * falling back to the image position
+     *
+     * @returns {string|null} Comma separated values, null if nothing is selected
+     */
+    getSelectedValue() {
+        const images = Array.from(this.imageContainers);
+        const values = this.getSelectedImages().map((image) => {
+            const input = image.matches('input') ? image : image.querySelector('input:checked');
+            return image.getAttribute('data-image-value')
+                || image.getAttribute('data-value')
+                || (input && input.value)
+                || String(images.indexOf(image));
+        });
+
+        return values.length ? values.join(',') : null;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    isBlank() {
+        return this.getSelectedImages().length === 0;
+    }
+
+    /**
+     * Number of selected images
+     * @inheritDoc
+     */
+    getFieldSize() {
+        return this.getSelectedImages().length;
+    }
+
+    /**
+     * Gets the values of the selected images, for value capture
+     * @inheritDoc
+     */
+    getValue() {
+        return this.getSelectedValue();
+    }
+
+    /**
+     * Sets up the selectable widget listeners on the field container
+     */
+    setupEventListeners() {
+        if (this.imageContainers.length === 0) {
+            this.logger.warn(`${this.fieldType.toUpperCase()} images not found:`, this.element);
+            return;
+        }
+
+        this.setupSelectableEventListeners(this.constructor.selectors.image);
+    }
+
+    /**
+     * Logs the activated image; the selection is read on blur once the
+     * widget has updated its selected state
+     * @inheritDoc
+     */
+    onItemActivate(image) {
+        this.logger.debug(`⚡️ ${this.fieldType.toUpperCase()} image ${this.imageContainers.indexOf(image)} clicked (${this.fieldName})`);
+    }
+
+    /**
+     * Handles an image click outside the selectable widget listeners
+     * Completes the focus → change → blur cycle; kept for subclasses wiring their own listeners
+     *
+     * @param {number} imageIndex - Position of the clicked image
+     */
+    handleImageClick(imageIndex) {
+        this.logger.debug(`⚡️ ${this.fieldType.toUpperCase()} image ${imageIndex} clicked (${this.fieldName})`);
+        this.trackFirstInteraction();
+        this.onChange();
+        this.scheduleDelayedBlur();
+    }
+
+    /**
+     * Syncs the selection before completing the blur
+     * Deselecting an image is tracked as a deletion
+     * @inheritDoc
+     */
+    onBlur() {
+        const selectedCount = this.getFieldSize();
+        if (selectedCount < this.lastSelectedCount) {
+            this.trackDeletion();
+        }
+        this.lastSelectedCount = selectedCount;
+        this.lastSelectedValue = this.getSelectedValue();
+
+        super.onBlur();
+    }
+}
@@ -0,0 +1,17 @@
+import { WysiwygField } from './WysiwygField.js';
+
+/**
+ * ProseMirror Field
+ *
+ * Tracks ProseMirror based editors (Tiptap, Formulate WYSIWYG, etc.).
+ *
+ * @class ProseMirrorField
+ * @extends WysiwygField
+ */
+export class ProseMirrorField extends WysiwygField {
+    static fieldType = 'prosemirror';
+    static selector = '.formulate-input-element--wysiwyg[data-name]';
+    static selectors = {
+        editor: '.ProseMirror[contenteditable="true"]'
+    };
+}
@@ -0,0 +1,17 @@
+import { WysiwygField } from './WysiwygField.js';
+
+/**
+ * Quill Field
+ *
+ * Tracks Quill editors. The container is usually the `.ql-container` element Quill renders into.
+ *
+ * @class QuillField
+ * @extends WysiwygField
+ */
+export class QuillField extends WysiwygField {
+    static fieldType = 'quill';
+    static selector = '.ql-container[data-name]';
+    static selectors = {
+        editor: '.ql-editor[contenteditable="true"]'
+    };
+}
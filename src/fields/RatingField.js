@@ -0,0 +1,148 @@
+import { BaseField } from '../BaseField.js';
+import { FieldCategories } from '../Enums/FieldCategories.js';
+
+/**
+ * Rating Field
+ *
+ * Tracks click-based rating widgets such as star or emoji ratings.
+ * The rating is read back from the DOM (selected state of the rating items),
+ * so it stays correct when the widget is re-rendered by a framework.
+ *
+ * @class RatingField
+ * @extends BaseField
+ */
+export class RatingField extends BaseField {
+    static fieldType = 'rating';
+    static category = FieldCategories.SELECTABLE;
+    static selector = '.formulate-input-element--rating-container[data-name]';
+    static selectors = {
+        // A single clickable rating item (star, emoji, radio label, ...)
+        star: '[data-rating-value], .star, .emoji',
+        // Selected state of a rating item, either on the item itself or on a child
+        selected: '.is-selected, .is-active, .icon-full, [aria-checked="true"], :checked'
+    };
+
+    /**
+     * @inheritDoc
+     */
+    constructor(tracker, element, fieldName) {
+        super(tracker, element, fieldName);
+        this.lastRating = this.getFieldSize();
+    }
+
+    /**
+     * Rating items currently rendered in the field
+     * @returns {NodeList} Rating items
+     */
+    get stars() {
+        return this.queryAll(this.constructor.selectors.star);
+    }
+
+    /**
+     * @inheritDoc
+     */
+    getInteractiveElement() {
+        return this.stars;
+    }
+
+    /**
+     * Checks whether a rating item is in its selected state
+     * @param {HTMLElement} star - Rating item
+     * @returns {boolean} True if selected
+     */
+    isStarSelected(star) {
+        const { selected } = this.constructor.selectors;
+        return star.matches(selected) || !!star.querySelector(selected);
+    }
+
+    /**
+     * Gets the value of a rating item
+     * Uses data-rating-value when present, otherwise the 1-based position
+     *
+     * @param {HTMLElement} star - Rating item
+     * @param {number} index - Position of the item in the field
+     * @returns {number} Rating value
+     */
+    getStarValue(star, index) {
+        const value = parseFloat(star.getAttribute('data-rating-value'));
+        return Number.isNaN(value) ? index + 1 : value;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    isBlank() {
+        return this.getFieldSize() === 0;
+    }
+
+    /**
+     * Gets the current rating
+     * Star widgets select every item up to the rating and emoji widgets select
+     * a single item, so the highest selected value covers both
+     * @inheritDoc
+     */
+    getFieldSize() {
+        return Array.from(this.stars).reduce((rating, star, index) => (
+            this.isStarSelected(star) ? Math.max(rating, this.getStarValue(star, index)) : rating
+        ), 0);
+    }
+
+    /**
+     * Gets the current rating, for value capture
+     * @inheritDoc
+     */
+    getValue() {
+        return this.getFieldSize() || null;
+    }
+
+    /**
+     * Sets up the selectable widget listeners on the field container
+     */
+    setupEventListeners() {
+        if (this.stars.length === 0) {
+            this.logger.warn(`${this.fieldType.toUpperCase()} items not found:`, this.element);
+            return;
+        }
+
+        this.setupSelectableEventListeners(this.constructor.selectors.star);
+    }
+
+    /**
+     * Logs the activated rating; the new rating is read on blur once the
+     * widget has updated its selected state
+     * @inheritDoc
+     */
+    onItemActivate(star) {
+        const index = this.stars.indexOf(star);
+        this.logger.debug(`⚡️ ${this.fieldType.toUpperCase()} clicked ${this.getStarValue(star, index)} (${this.fieldName})`);
+    }
+
+    /**
+     * Handles a rating item click outside the selectable widget listeners
+     * Completes the focus → change → blur cycle; kept for subclasses wiring their own listeners
+     *
+     * @param {number} rating - Value of the clicked item
+     */
+    handleStarClick(rating) {
+        this.logger.debug(`⚡️ ${this.fieldType.toUpperCase()} clicked ${rating} (${this.fieldName})`);
+        this.trackFirstInteraction();
+        this.onChange();
+        this.scheduleDelayedBlur();
+    }
+
+    /**
+     * Syncs the rating before completing the blur
+     * A decreased rating is tracked as a deletion
+     * @inheritDoc
+     */
+    onBlur() {
+        const rating = this.getFieldSize();
+        if (rating < this.lastRating) {
+            this.trackDeletion();
+            this.logger.debug(`⚡️ ${this.fieldType.toUpperCase()} decreased from ${this.lastRating} to ${rating} (${this.fieldName})`);
+        }
+        this.lastRating = rating;
+
+        super.onBlur();
+    }
+}
@@ -0,0 +1,103 @@
+import { BaseField } from '../BaseField.js';
+import { FieldCategories } from '../Enums/FieldCategories.js';
+
+/**
+ * Signature Field
+ *
+ * Tracks canvas based signature pads (signature_pad, vue-signature-pad, etc.).
+ * Each pen stroke counts as a change and clearing the pad counts as a deletion.
+ *
+ * @class SignatureField
+ * @extends BaseField
+ */
+export class SignatureField extends BaseField {
+    static fieldType = 'signature';
+    static category = FieldCategories.SELECTABLE;
+    static selector = '.signature-pad[data-name]';
+    static selectors = {
+        canvas: 'canvas',
+        clear: '[data-action="clear"], .signature-pad__clear',
+        // Hidden input some pads use to hold the encoded signature
+        input: 'input[type="hidden"]'
+    };
+
+    /**
+     * Delay in milliseconds after the last stroke before the session is closed
+     * Longer than the click-based fields because signatures take several strokes
+     * @static
+     */
+    static blurDelay = 1000;
+
+    /**
+     * @inheritDoc
+     */
+    constructor(tracker, element, fieldName) {
+        super(tracker, element, fieldName);
+        this.canvas = this.getInteractiveElement();
+        this.strokeCount = 0;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    getInteractiveElement() {
+        const { canvas } = this.constructor.selectors;
+        return this.element.matches(canvas) ? this.element : this.query(canvas);
+    }
+
+    /**
+     * Gets the stored signature value, if the pad keeps one in a hidden input
+     * @returns {string} Stored value or empty string
+     */
+    getStoredValue() {
+        const input = this.query(this.constructor.selectors.input);
+        return input ? input.value : '';
+    }
+
+    /**
+     * @inheritDoc
+     */
+    isBlank() {
+        return this.strokeCount === 0 && !this.getStoredValue();
+    }
+
+    /**
+     * Number of strokes drawn since the pad was last cleared
+     * @inheritDoc
+     */
+    getFieldSize() {
+        return this.strokeCount;
+    }
+
+    /**
+     * Sets up pointer listeners on the canvas and click listeners on the clear control
+     */
+    setupEventListeners() {
+        if (!this.canvas) {
+            this.logger.warn(`${this.fieldType.toUpperCase()} canvas not found:`, this.element);
+            return;
+        }
+
+        this._addTrackedEventListener(this.canvas, 'pointerdown', () => {
+            this.cancelDelayedBlur();
+            this.trackFirstInteraction();
+        });
+
+        this._addTrackedEventListener(this.canvas, 'pointerup', () => {
+            this.strokeCount++;
+            this.onChange();
+            this.scheduleDelayedBlur(this.constructor.blurDelay);
+        });
+
+        this._addTrackedEventListener(this.element, 'click', (event) => {
+            if (!this.getEventTarget(event).closest?.(this.constructor.selectors.clear)) return;
+
+            this.logger.debug(`⚡️ ${this.fieldType.toUpperCase()} cleared (${this.fieldName})`);
+            this.trackFirstInteraction();
+            this.strokeCount = 0;
+            this.trackDeletion();
+            this.onChange();
+            this.scheduleDelayedBlur(this.constructor.blurDelay);
+        });
+    }
+}
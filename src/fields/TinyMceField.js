@@ -0,0 +1,20 @@
+import { WysiwygField } from './WysiwygField.js';
+
+/**
+ * TinyMCE Field
+ *
+ * Tracks TinyMCE editors running in inline mode, where the editable body lives in the page document,
+ * and in classic mode, where it lives in a same-origin iframe.
+ *
+ * @class TinyMceField
+ * @extends WysiwygField
+ */
+export class TinyMceField extends WysiwygField {
+    static fieldType = 'tinymce';
+    static selector = '.tinymce[data-name]';
+    static selectors = {
+        editor: '.mce-content-body[contenteditable="true"]',
+        frame: 'iframe.tox-edit-area__iframe, iframe[id$="_ifr"]',
+        frameEditor: '[contenteditable="true"]'
+    };
+}
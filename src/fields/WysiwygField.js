@@ -0,0 +1,150 @@
+import { BaseField } from '../BaseField.js';
+import { FieldCategories } from '../Enums/FieldCategories.js';
+
+/**
+ * WYSIWYG Field
+ *
+ * Tracks rich text editors that render a contenteditable element inside
+ * the field container, or inside a same-origin iframe. Supports ProseMirror,
+ * TinyMCE (inline and classic), Quill and CKEditor out of the box; use the
+ * editor-specific subclasses for tighter selectors or configure() to point
+ * at any other editor.
+ *
+ * @class WysiwygField
+ * @extends BaseField
+ */
+export class WysiwygField extends BaseField {
+    static fieldType = 'wysiwyg';
+    static category = FieldCategories.TEXT;
+    static selector = '.wysiwyg[data-name]';
+    static selectors = {
+        editor: [
+            '.ProseMirror[contenteditable="true"]',
+            '.mce-content-body[contenteditable="true"]',
+            '.ql-editor[contenteditable="true"]',
+            '.ck-editor__editable[contenteditable="true"]',
+            '.cke_editable[contenteditable="true"]'
+        ].join(', '),
+        // Iframe of classic editors (TinyMCE, CKEditor 4) and the editable inside it
+        frame: 'iframe.tox-edit-area__iframe, iframe[id$="_ifr"], iframe.cke_wysiwyg_frame',
+        frameEditor: '[contenteditable="true"]'
+    };
+
+    /**
+     * @inheritDoc
+     */
+    constructor(tracker, element, fieldName) {
+        super(tracker, element, fieldName);
+        this.editor = this.getInteractiveElement();
+    }
+
+    /**
+     * @inheritDoc
+     */
+    getInteractiveElement() {
+        return this.getPageEditor() || this.getFrameEditor();
+    }
+
+    /**
+     * Gets the editable rendered in the page (inline editors)
+     * @returns {HTMLElement|null} Editable element
+     */
+    getPageEditor() {
+        const { editor } = this.constructor.selectors;
+        if (this.element.matches(editor)) {
+            return this.element;
+        }
+
+        return this.query(editor);
+    }
+
+    /**
+     * Gets the iframe of a classic editor, if any
+     * @returns {HTMLIFrameElement|null} Editor iframe
+     */
+    getFrame() {
+        const { frame } = this.constructor.selectors;
+        return frame ? this.query(frame) : null;
+    }
+
+    /**
+     * Gets the editable inside the iframe of a classic editor
+     * Falls back to the iframe body, which editors make editable after it loads
+     * @returns {HTMLElement|null} Editable element, null without an accessible iframe
+     */
+    getFrameEditor() {
+        const frame = this.getFrame();
+        const frameDocument = frame ? frame.contentDocument : null;
+        if (!frameDocument) return null;
+
+        return frameDocument.querySelector(this.constructor.selectors.frameEditor) || frameDocument.body;
+    }
+
+    /**
+     * Gets the plain text content of the editor
+     * @returns {string} Editor text, empty string if the editor is not mounted
+     */
+    getContent() {
+        if (!this.editor) return '';
+        return this.editor.innerText || this.editor.textContent || '';
+    }
+
+    /**
+     * @inheritDoc
+     */
+    isBlank() {
+        return this.getContent().trim().length === 0;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    getFieldSize() {
+        return this.getContent().length;
+    }
+
+    /**
+     * Sets up the default listeners on the editor
+     * Editors are often mounted after the container is rendered, so when the
+     * editor isn't there yet we wait for it with a tracked MutationObserver
+     */
+    setupEventListeners() {
+        if (this.attachEditor()) return;
+
+        this.logger.debug(`⏳ ${this.fieldType.toUpperCase()} waiting for editor to mount (${this.fieldName})`);
+
+        this._setupTrackedMutationObserver(() => {
+            if (!this.attachEditor()) return;
+
+            this._mutationObserver.disconnect();
+        }, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['contenteditable']
+        });
+    }
+
+    /**
+     * Sets up the default listeners on the editor once it is mounted
+     * Editors in an iframe are bound to the iframe document, and bound again when it reloads
+     * @returns {boolean} True if the editor or its iframe was found
+     */
+    attachEditor() {
+        const frame = this.getPageEditor() ? null : this.getFrame();
+
+        if (frame) {
+            this.bindFrameDocument(frame, () => {
+                this.editor = this.getFrameEditor();
+                this.setupDefaultEventListeners();
+            });
+            return true;
+        }
+
+        this.editor = this.getInteractiveElement();
+        if (!this.editor) return false;
+
+        this.setupDefaultEventListeners();
+        return true;
+    }
+}
@@ -0,0 +1,19 @@
+/**
+ * Built-in Field Library
+ *
+ * Production-ready BaseField subclasses. Every field lives in its own module,
+ * so importing one only bundles that field.
+ *
+ * @module fields
+ */
+
+export { WysiwygField } from './WysiwygField.js';
+export { ProseMirrorField } from './ProseMirrorField.js';
+export { TinyMceField } from './TinyMceField.js';
+export { QuillField } from './QuillField.js';
+export { CkEditorField } from './CkEditorField.js';
+export { RatingField } from './RatingField.js';
+export { ImageSelectorField } from './ImageSelectorField.js';
+export { SignatureField } from './SignatureField.js';
+export { FileDropField } from './FileDropField.js';
+export { DeclarativeField } from './DeclarativeField.js';
@@ -11,6 +11,9 @@ export interface MatomoTracker {
     setEngagedWithForm(): void;
     trackFieldUpdate(field: BaseField): void;
     scheduleSendUpdate(): void;
+    sendUpdate?(): void;
+    trackFormSubmit?(): void;
+    trackFormConversion?(): void;
 }
 
 export interface TrackingParams {
@@ -32,8 +35,231 @@ export enum FieldCategories {
     CHECKABLE = 'FIELD_CHECKABLE'
 }
 
+export enum NativeFieldPolicies {
+    SKIP = 'skip',
+    REPLACE = 'replace',
+    BOTH = 'both'
+}
+
+export declare function isValidNativeFieldPolicy(policy: string): boolean;
+
+export enum DuplicateNamePolicies {
+    WARN = 'warn',
+    SUFFIX = 'suffix',
+    SKIP = 'skip'
+}
+
+export declare function isValidDuplicateNamePolicy(policy: string): boolean;
+
+export enum GroupNamingModes {
+    INSTANCE = 'instance',
+    GROUP = 'group'
+}
+
+export declare function isValidGroupNamingMode(mode: string): boolean;
+
+export enum ValueCaptureModes {
+    RAW = 'raw',
+    HASH = 'hash',
+    BUCKET = 'bucket'
+}
+
+export declare function isValidValueCaptureMode(mode: string): boolean;
+
+export enum ConsentModes {
+    NONE = 'none',
+    MANUAL = 'manual',
+    MATOMO = 'matomo'
+}
+
+export declare function isValidConsentMode(mode: string): boolean;
+
+export enum SubmitTriggers {
+    SUBMIT = 'submit',
+    BUTTON = 'button',
+    EVENT = 'event',
+    PROMISE = 'promise',
+    MANUAL = 'manual'
+}
+
+export declare function isValidSubmitTrigger(trigger: string): boolean;
+
+export enum ValidationErrorCodes {
+    REQUIRED = 'required',
+    TOO_SHORT = 'too_short',
+    TOO_LONG = 'too_long',
+    FORMAT = 'format',
+    INVALID = 'invalid'
+}
+
+export declare function isValidValidationErrorCode(code: string): boolean;
+
+export interface ValidationError {
+    code: ValidationErrorCodes | string;
+    message: string;
+}
+
+export enum PauseReasons {
+    HIDDEN = 'hidden',
+    BLUR = 'blur',
+    IDLE = 'idle'
+}
+
+export declare function isValidPauseReason(reason: string): boolean;
+
+export enum RemovalPolicies {
+    KEEP = 'keep',
+    DROP = 'drop'
+}
+
+export enum InputKinds {
+    PASTE = 'paste',
+    CUT = 'cut',
+    DROP = 'drop',
+    UNDO = 'undo',
+    REDO = 'redo',
+    AUTOFILL = 'autofill',
+    COMPOSITION = 'composition'
+}
+
+export declare function isValidInputKind(kind: string): boolean;
+
+export type InputCounts = { [kind in InputKinds]: number };
+
+export enum TrackerEvents {
+    FIELD_INTEGRATED = 'field:integrated',
+    FIELD_FOCUS = 'field:focus',
+    FIELD_CHANGE = 'field:change',
+    FIELD_BLUR = 'field:blur',
+    FIELD_DELETION = 'field:deletion',
+    FIELD_CURSOR = 'field:cursor',
+    FIELD_INPUT = 'field:input',
+    FIELD_VALUE = 'field:value',
+    FIELD_VALIDATION_ERROR = 'field:validation-error',
+    FIELD_RETIRED = 'field:retired',
+    FIELD_DESTROYED = 'field:destroyed',
+    FORM_ATTACHED = 'form:attached',
+    FORM_DETACHED = 'form:detached',
+    FORM_RESCANNED = 'form:rescanned',
+    FORM_SUBMITTED = 'form:submitted',
+    FORM_ABANDONED = 'form:abandoned',
+    TRACKER_MISSING = 'tracker:missing',
+    CONSENT_GRANTED = 'consent:granted',
+    CONSENT_REVOKED = 'consent:revoked'
+}
+
+export interface FieldEventPayload {
+    field: BaseField;
+}
+
+export interface FormEventPayload {
+    form: HTMLElement;
+    tracker: MatomoTracker;
+}
+
+export interface FieldEventMap {
+    'field:focus': FieldEventPayload;
+    'field:change': FieldEventPayload;
+    'field:blur': FieldEventPayload;
+    'field:deletion': FieldEventPayload;
+    'field:cursor': FieldEventPayload;
+    'field:input': FieldEventPayload & { kind: InputKinds };
+    'field:value': FieldEventPayload & { value: string | null; previousValue: string | null };
+    'field:validation-error': FieldEventPayload & ValidationError;
+    'field:retired': FieldEventPayload;
+    'field:destroyed': FieldEventPayload;
+}
+
+export interface TrackerEventMap extends FieldEventMap {
+    'field:integrated': FieldEventPayload & FormEventPayload;
+    'form:attached': FormEventPayload;
+    'form:detached': FormEventPayload;
+    'form:rescanned': FormEventPayload;
+    'form:submitted': FormEventPayload & { trigger: SubmitTriggers };
+    'form:abandoned': FormEventPayload;
+    'tracker:missing': { form: HTMLElement; attempts: number };
+    'consent:granted': { mode: ConsentModes };
+    'consent:revoked': { mode: ConsentModes };
+}
+
+export declare class EventEmitter<EventMap extends object = Record<string, unknown>> {
+    constructor(onError?: ((error: unknown, event: string) => void) | null);
+
+    on<E extends keyof EventMap>(event: E, handler: (payload: EventMap[E]) => void): () => void;
+    once<E extends keyof EventMap>(event: E, handler: (payload: EventMap[E]) => void): () => void;
+    off<E extends keyof EventMap>(event: E, handler?: (payload: EventMap[E]) => void): void;
+    hasHandlers(event: keyof EventMap): boolean;
+    emit<E extends keyof EventMap>(event: E, payload: EventMap[E]): void;
+    clear(): void;
+}
+
+export enum LogLevels {
+    SILENT = 'silent',
+    ERROR = 'error',
+    WARN = 'warn',
+    INFO = 'info',
+    DEBUG = 'debug',
+    TRACE = 'trace'
+}
+
+export interface LogEntry {
+    level: LogLevels;
+    namespace: string;
+    args: unknown[];
+    timestamp: number;
+}
+
+export type LogSink = (entry: LogEntry) => void;
+
+export interface MemorySink extends LogSink {
+    entries: LogEntry[];
+}
+
+export interface LoggerSettings {
+    level?: LogLevels;
+    sink?: LogSink | ConsoleLike;
+    namespace?: string;
+}
+
+export declare class Logger {
+    readonly namespace: string;
+
+    constructor(settings?: LoggerSettings);
+
+    child(namespace: string): Logger;
+    setLevel(level: LogLevels): void;
+    getLevel(): LogLevels;
+    setSink(sink: LogSink | ConsoleLike): void;
+    isLevelEnabled(level: LogLevels): boolean;
+    error(...args: unknown[]): void;
+    warn(...args: unknown[]): void;
+    info(...args: unknown[]): void;
+    debug(...args: unknown[]): void;
+    trace(...args: unknown[]): void;
+}
+
+export declare function getLogger(): Logger;
+
+export declare function createConsoleSink(target?: ConsoleLike): LogSink;
+
+export declare function createMemorySink(limit?: number): MemorySink;
+
+export declare function isValidLogLevel(level: string): boolean;
+
 export declare class BaseField {
     static FieldCategories: typeof FieldCategories;
+    static fieldType: string;
+    static category: FieldCategories;
+    static selector: string;
+    static selectors: FieldSelectors;
+    static removalPolicy: RemovalPolicies | null;
+    static priority: number;
+    static nativeFieldPolicy: NativeFieldPolicies | null;
+    static foldInputCounts: boolean | null;
+    static valueCapture: ValueCaptureOptions | null;
+    static sensitive: boolean;
+
+    static configure<T extends typeof BaseField>(this: T, overrides?: FieldConfiguration): T;
 
     readonly discoveredDate: number;
     timespent: number;
@@ -48,86 +274,512 @@ export declare class BaseField {
     numFocus: number;
     numDeletes: number;
     numCursor: number;
+    inputCounts: InputCounts;
+    isComposing: boolean;
+    valueHistory: Array<string | null>;
+    numValueChanges: number;
+    numValidationErrors: number;
+    validationErrors: { [code: string]: number };
     canCountChange: boolean;
     isFocusedCausedAuto: boolean;
     hasChangedValueSinceFocus: boolean;
     tracker: MatomoTracker;
     category: string;
     element: HTMLElement;
+    firstInteractionTime: number | null;
+    logger: Logger;
+    clock: FieldClock;
+    debug: boolean;
 
     constructor(tracker: MatomoTracker, element: HTMLElement, fieldName: string);
 
-    getInteractiveElement(): HTMLElement | NodeList;
+    on<E extends keyof FieldEventMap>(event: E, handler: (payload: FieldEventMap[E]) => void): () => void;
+    once<E extends keyof FieldEventMap>(event: E, handler: (payload: FieldEventMap[E]) => void): () => void;
+    off<E extends keyof FieldEventMap>(event: E, handler?: (payload: FieldEventMap[E]) => void): void;
+
+    query(selector: string): Element | null;
+    queryAll(selector: string): Element[];
+    containsNode(target: Node | null): boolean;
+    getEventTarget(event: Event): EventTarget | null;
+    getInteractiveElement(): HTMLElement | NodeList | HTMLElement[];
     isBlank(): boolean;
     getFieldSize(): number;
     setupEventListeners(): void;
+    setupDefaultEventListeners(): void;
+    handleKeydown(event: KeyboardEvent): void;
+    setupSelectableEventListeners(item?: string | ((target: EventTarget | null) => HTMLElement | null) | null): void;
+    activateItem(item: HTMLElement, event: Event): void;
+    onItemActivate(item: HTMLElement, event?: Event): void;
+    handleBeforeInput(event: InputEvent): void;
+    handleInput(event: Event): void;
+    trackInputKind(kind: InputKinds): void;
+    shouldFoldInputCounts(): boolean;
+    trackFirstInteraction(): boolean;
+    scheduleDelayedBlur(delay?: number): number;
+    cancelDelayedBlur(): void;
     addNode(node: HTMLElement): void;
+    bindFrameDocument(iframe: HTMLIFrameElement, setup: (frameDocument: Document, iframe: HTMLIFrameElement) => void): boolean;
     resetOnFormSubmit(): void;
+    flush(): boolean;
     getTimeSpent(): number;
     getHesitationTime(): number;
+    getValue(): FieldValue | null;
+    getValueCaptureOptions(): Required<ValueCaptureOptions> | null;
+    captureValue(): boolean;
+    getValueSnapshot(): ValueSnapshot | null;
+    isSensitive(): boolean;
+    reportValidationError(code?: ValidationErrorCodes | string, message?: string): void;
+    getValidationScope(): HTMLElement;
+    getValidationError(): ValidationError | null;
+    checkValidation(): boolean;
+    setupValidationObserver(): void;
     getTrackingParams(): TrackingParams;
     onFocus(): void;
     onBlur(): void;
     onChange(): void;
     trackCursorMovement(): void;
     trackDeletion(): void;
+    resumeFrom(field: BaseField): void;
+    retire(): void;
+    destroy(): void;
+}
+
+export interface FieldSelectors {
+    [name: string]: string;
+}
+
+export interface FieldConfiguration {
+    fieldType?: string;
+    category?: FieldCategories;
+    selector?: string;
+    priority?: number;
+    nativeFieldPolicy?: NativeFieldPolicies;
+    removalPolicy?: RemovalPolicies;
+    valueCapture?: ValueCaptureOptions | null;
+    sensitive?: boolean;
+    [selectorName: string]: string | number | boolean | ValueCaptureOptions | null | undefined;
+}
+
+export type FieldValue = string | number | boolean | Array<string | number | boolean>;
+
+export interface ValueCaptureOptions {
+    mode?: ValueCaptureModes;
+    historyLimit?: number;
+    salt?: string;
+    buckets?: number[] | ((value: FieldValue) => string) | null;
+}
+
+export interface ValueSnapshot {
+    value: string | null;
+    history: Array<string | null>;
+    changes: number;
+}
+
+export declare const DEFAULT_VALUE_CAPTURE: Required<ValueCaptureOptions>;
+
+export declare function serializeValue(value: FieldValue | null | undefined): string | null;
+
+export declare function hashValue(value: string, salt?: string): string;
+
+export declare function bucketValue(value: FieldValue, buckets: number[] | ((value: FieldValue) => string)): string;
+
+export declare function formatCapturedValue(value: FieldValue | null | undefined, options: ValueCaptureOptions): string | null;
+
+export interface SubmissionTriggerOptions {
+    submitButtonSelector?: string | null;
+    submitEvent?: string | null;
+}
+
+export declare function watchFormSubmission(
+    form: HTMLElement,
+    settings: SubmissionTriggerOptions,
+    onSubmit: (trigger: SubmitTriggers) => void
+): () => void;
+
+export declare function trackMatomoFormSubmit(tracker: MatomoTracker, form: HTMLElement, conversion?: boolean): void;
+
+export interface MatomoValidationReporterOptions {
+    category?: string;
+    paq?: unknown[] | null;
+}
+
+export declare function createMatomoValidationReporter(
+    source: { on(event: 'field:validation-error', handler: (payload: FieldEventMap['field:validation-error']) => void): () => void },
+    options?: MatomoValidationReporterOptions
+): () => void;
+
+export interface MatomoValueReporterOptions {
+    category?: string;
+    dimensions?: { [fieldName: string]: number } | ((field: BaseField) => number | null | undefined);
+    events?: boolean;
+    paq?: unknown[] | null;
+}
+
+export declare function createMatomoValueReporter(
+    source: { on(event: 'field:value', handler: (payload: FieldEventMap['field:value']) => void): () => void },
+    options?: MatomoValueReporterOptions
+): () => void;
+
+export declare abstract class CompositeField extends BaseField {
+    static selectors: { part: string; [selectorName: string]: string };
+    static blurDelay: number;
+    getParts(): HTMLElement[];
+    getInteractiveElement(): HTMLElement[];
+    isPartBlank(part: HTMLElement): boolean;
+    getPartSize(part: HTMLElement): number;
+    isBlank(): boolean;
+    getFieldSize(): number;
+    onPartFocus(event: FocusEvent): void;
+    onPartBlur(event: FocusEvent): void;
 }
 
 export declare class WysiwygField extends BaseField {
-    static fieldType: 'wysiwyg';
+    static fieldType: string;
     static category: FieldCategories.TEXT;
+    static selector: string;
+    static selectors: { editor: string; frame?: string; frameEditor?: string };
 
     editor: HTMLElement | null;
+
+    getPageEditor(): HTMLElement | null;
+    getFrame(): HTMLIFrameElement | null;
+    getFrameEditor(): HTMLElement | null;
+    getContent(): string;
+    attachEditor(): boolean;
 }
 
+export declare class ProseMirrorField extends WysiwygField {}
+
+export declare class TinyMceField extends WysiwygField {}
+
+export declare class QuillField extends WysiwygField {}
+
+export declare class CkEditorField extends WysiwygField {}
+
 export declare class RatingField extends BaseField {
-    static fieldType: 'rating';
+    static fieldType: string;
     static category: FieldCategories.SELECTABLE;
+    static selector: string;
+    static selectors: { star: string; selected: string };
 
-    stars: NodeList;
+    readonly stars: HTMLElement[];
     lastRating: number;
 
+    isStarSelected(star: HTMLElement): boolean;
+    getStarValue(star: HTMLElement, index: number): number;
+    onItemActivate(star: HTMLElement, event?: Event): void;
     handleStarClick(rating: number): void;
 }
 
 export declare class ImageSelectorField extends BaseField {
-    static fieldType: 'imageSelector';
+    static fieldType: string;
     static category: FieldCategories.CHECKABLE;
+    static selector: string;
+    static selectors: { image: string; selected: string };
 
-    imageContainers: NodeList;
+    readonly imageContainers: HTMLElement[];
     lastSelectedValue: string | null;
+    lastSelectedCount: number;
 
-    getSelectedImages(): NodeList;
+    getSelectedImages(): HTMLElement[];
     getSelectedValue(): string | null;
+    onItemActivate(image: HTMLElement, event?: Event): void;
     handleImageClick(imageIndex: number): void;
 }
 
-export declare const fieldClasses: {
-    wysiwyg: typeof WysiwygField;
-    rating: typeof RatingField;
-    imageSelector: typeof ImageSelectorField;
-};
+export declare class SignatureField extends BaseField {
+    static fieldType: string;
+    static category: FieldCategories.SELECTABLE;
+    static selector: string;
+    static selectors: { canvas: string; clear: string; input: string };
+    static blurDelay: number;
+
+    canvas: HTMLCanvasElement | null;
+    strokeCount: number;
+
+    getStoredValue(): string;
+}
+
+export declare class FileDropField extends BaseField {
+    static fieldType: string;
+    static category: FieldCategories.SELECTABLE;
+    static selector: string;
+    static selectors: { input: string; file: string; remove: string };
+
+    droppedFileCount: number;
+
+    getFileInput(): HTMLInputElement | null;
+}
+
+export type DefinedFieldEvents<F extends BaseField = BaseField> =
+    | 'input'
+    | 'click'
+    | { [event: string]: (field: F, event: Event) => void }
+    | ((field: F) => void);
+
+export interface FieldDefinition {
+    fieldType: string;
+    category: FieldCategories;
+    selector: string;
+    interactive?: string | ((field: DefinedField) => HTMLElement | null) | null;
+    size?: string | ((field: DefinedField) => number) | null;
+    blank?: ((field: DefinedField) => boolean) | null;
+    value?: ((field: DefinedField) => FieldValue | null) | null;
+    valueCapture?: ValueCaptureOptions | null;
+    events?: DefinedFieldEvents<DefinedField>;
+    selectors?: FieldSelectors;
+}
+
+export declare class DefinedField extends BaseField {
+    static definition: Omit<FieldDefinition, 'fieldType' | 'category' | 'selector' | 'selectors' | 'valueCapture'>;
+
+    definition: Omit<FieldDefinition, 'fieldType' | 'category' | 'selector' | 'selectors' | 'valueCapture'>;
+    clickCount: number;
 
-export declare function createField(
-    tracker: MatomoTracker,
+    setupClickEventListeners(): void;
+    setupMappedEventListeners(handlers: { [event: string]: (field: DefinedField, event: Event) => void }): void;
+}
+
+export declare function defineField(definition: FieldDefinition): typeof DefinedField;
+
+export declare class DeclarativeField extends DefinedField {
+    static attributes: {
+        fieldType: string;
+        category: string;
+        interactive: string;
+        size: string;
+        events: string;
+    };
+}
+
+export type FieldNameResolverFunction = (element: HTMLElement) => string | null | undefined;
+
+export declare function createFieldNameResolver(
+    options: Pick<TrackerOptions, 'fieldNameAttribute'> &
+        Partial<Pick<TrackerOptions, 'fieldNameResolvers' | 'fieldNameNormalizer' | 'fieldNameAliases'>>
+): (element: HTMLElement) => string | null;
+
+export declare function normalizeFieldName(name: string): string;
+
+export declare function getUniqueFieldName(name: string, takenNames: string[]): string;
+
+export interface FieldGroupPathEntry {
+    name: string;
+    index: number;
+    element: HTMLElement;
+}
+
+export declare function getFieldGroupPath(
     element: HTMLElement,
+    form: HTMLElement,
+    options: Pick<TrackerOptions, 'groupSelector' | 'groupNameAttribute'>
+): FieldGroupPathEntry[];
+
+export declare function formatGroupedFieldName(
     fieldName: string,
-    fieldType: string
-): BaseField | null;
+    path: Array<Pick<FieldGroupPathEntry, 'name' | 'index'>>,
+    mode: GroupNamingModes
+): string;
+
+export declare class FieldGroupAggregate {
+    constructor(tracker: MatomoTracker, fieldName: string, fieldType: string, category: FieldCategories);
+    tracker: MatomoTracker;
+    fieldName: string;
+    fieldType: string;
+    category: FieldCategories;
+    nodes: HTMLElement[];
+    members: BaseField[];
+    lastFocusedMember: BaseField | null;
+    createMemberTracker(field: BaseField): MatomoTracker;
+    addMember(field: BaseField): void;
+    removeMember(field: BaseField): number;
+    sum(param: string): number;
+    isBlank(): boolean;
+    getFieldSize(): number;
+    getTimeSpent(): number;
+    getHesitationTime(): number;
+    getTrackingParams(): TrackingParams;
+    resetOnFormSubmit(): void;
+}
+
+export declare function getOpenShadowRoots(root: Element | Document | DocumentFragment): ShadowRoot[];
+
+export declare function querySelectorAllDeep(root: Element | Document | DocumentFragment, selector: string, shadowRoots?: ShadowRoot[]): Element[];
+
+export declare function querySelectorDeep(root: Element | Document | DocumentFragment, selector: string, shadowRoots?: ShadowRoot[] | null): Element | null;
+
+export declare function containsDeep(ancestor: Node, node: Node | null): boolean;
+
+export declare function closestDeep(element: Element, selector: string): Element | null;
+
+export declare function getEventTarget(event: Event): EventTarget | null;
+
+export interface ActivityClockOptions {
+    idleTimeout?: number;
+    pauseWhenHidden?: boolean;
+}
+
+export interface FieldClock {
+    now(): number;
+    markActivity(): void;
+}
+
+export declare class ActivityClock {
+    constructor(logger?: Logger, now?: () => number);
+    logger: Logger;
+    idleTimeout: number;
+    pauseWhenHidden: boolean;
+    configure(options?: ActivityClockOptions): void;
+    start(win?: Window): void;
+    stop(): void;
+    now(): number;
+    isPaused(): boolean;
+    getPauseReasons(): PauseReasons[];
+    pause(reason: PauseReasons): void;
+    resume(reason: PauseReasons): void;
+    markActivity(): void;
+}
+
+
+export declare const IGNORE_ATTRIBUTE: 'data-matomo-ignore';
+
+export declare const SENSITIVE_ATTRIBUTE: 'data-matomo-sensitive';
+
+export declare function isIgnoredElement(element: HTMLElement): boolean;
+
+export declare function readMatomoConsent(): boolean;
+
+export declare function watchMatomoConsent(onChange: (granted: boolean) => void): () => void;
+
+export declare function validateFieldClass(fieldType: string, FieldClass: unknown): string[];
+
+export declare function getSelectorOverlap(selectorA: string, selectorB: string): string[];
 
 export declare function getAvailableFieldTypes(): string[];
 
 export declare function isFieldTypeSupported(fieldType: string): boolean;
 
+export declare function getDebugMode(): boolean;
+
 export declare function isValidFieldCategory(category: string): boolean;
 
 export declare function getSupportedFieldCategories(): string[];
 
 export declare function getFieldCategoryDescription(category: string): string;
 
-export interface FormAnalyticsCustomFieldTracker {
-    init(): void;
+export declare function isValidRemovalPolicy(policy: string): boolean;
+
+export interface CustomFieldRegistration {
+    fieldType: string;
+    FieldClass: typeof BaseField;
+}
+
+export interface ConsoleLike {
+    log(...args: unknown[]): void;
+    warn(...args: unknown[]): void;
+    error(...args: unknown[]): void;
+}
+
+export interface TrackerFeatures {
+    dynamicFields: boolean;
+    removalDetection: boolean;
+    formDiscovery: boolean;
+    declarativeFields: boolean;
+    visibilityPause: boolean;
+    validationErrors: boolean | null;
+    submissionDetection: boolean;
+    abandonmentFlush: boolean;
+}
+
+export interface TrackerOptions {
+    fields: CustomFieldRegistration[];
+    debug: boolean;
+    formSelector: string;
+    formAnalyticsTimeout: number;
+    trackerLookupDelay: number;
+    trackerLookupAttempts: number;
+    trackerLookupBackoff: number;
+    trackerLookupMaxDelay: number;
+    rescanDebounce: number;
+    dynamicFieldSelector: string;
+    fieldNameAttribute: string;
+    fieldNameResolvers: Array<string | FieldNameResolverFunction>;
+    fieldNameNormalizer: boolean | ((name: string, element: HTMLElement) => string) | null;
+    fieldNameAliases: { [name: string]: string } | ((name: string, element: HTMLElement) => string | null | undefined);
+    duplicateFieldNames: DuplicateNamePolicies;
+    groupSelector: string | null;
+    groupNameAttribute: string;
+    groupNaming: GroupNamingModes;
+    removalPolicy: RemovalPolicies;
+    nativeFieldPolicy: NativeFieldPolicies;
+    strict: boolean;
+    foldInputCounts: boolean;
+    idleTimeout: number;
+    consent: ConsentModes;
+    privacyMode: boolean;
+    validationErrorSelector: string | null;
+    validationScopeSelector: string | null;
+    submitButtonSelector: string | null;
+    submitEvent: string | null;
+    trackConversion: boolean;
+    logger: ConsoleLike | LogSink;
+    logLevel: LogLevels | null;
+    features: TrackerFeatures;
+}
+
+export type TrackerInitOptions = Partial<Omit<TrackerOptions, 'features'>> & {
+    features?: Partial<TrackerFeatures>;
+};
+
+export declare const DEFAULT_OPTIONS: TrackerOptions;
+
+export declare const TRACKER_MISSING_EVENT: 'matomo-custom-fields:tracker-missing';
+
+export interface TrackerLookupResult {
+    form: HTMLElement;
+    tracker: MatomoTracker | null;
+    attempts: number;
 }
 
+export declare class CustomFieldTracker {
+    constructor(options?: TrackerInitOptions | CustomFieldRegistration[], logger?: Logger);
+
+    fieldClasses: { [fieldType: string]: typeof BaseField };
+    options: TrackerOptions;
+    logger: Logger;
+    clock: ActivityClock;
+    events: EventEmitter<TrackerEventMap>;
+    removalPolicy: RemovalPolicies;
+
+    init(options?: TrackerInitOptions): void;
+    init(customFields?: CustomFieldRegistration[], debug?: boolean): void;
+    configure(options: TrackerInitOptions): void;
+    registerField(fieldType: string, FieldClass: typeof BaseField): boolean;
+    on<E extends keyof TrackerEventMap>(event: E, handler: (payload: TrackerEventMap[E]) => void): () => void;
+    once<E extends keyof TrackerEventMap>(event: E, handler: (payload: TrackerEventMap[E]) => void): () => void;
+    off<E extends keyof TrackerEventMap>(event: E, handler?: (payload: TrackerEventMap[E]) => void): void;
+    setLogLevel(level: LogLevels): void;
+    setRemovalPolicy(policy: RemovalPolicies): void;
+    getAvailableFieldTypes(): string[];
+    isFieldTypeSupported(fieldType: string): boolean;
+    getDebugMode(): boolean;
+    hasConsent(): boolean;
+    grantConsent(): void;
+    revokeConsent(): void;
+    trackSubmission(form: HTMLElement, submission?: Promise<unknown> | null): Promise<boolean>;
+    detachForm(form: HTMLElement): boolean;
+    destroy(): void;
+    reinit(): void;
+    whenFormReady(form: HTMLElement): Promise<TrackerLookupResult> | null;
+}
+
+export interface FormAnalyticsCustomFieldTracker extends CustomFieldTracker {}
+
+export declare function createCustomFieldTracker(
+    options?: TrackerInitOptions | CustomFieldRegistration[]
+): CustomFieldTracker;
+
+export declare function getDefaultTracker(): CustomFieldTracker;
+
 declare const FormAnalyticsCustomFieldTracker: FormAnalyticsCustomFieldTracker;
 export default FormAnalyticsCustomFieldTracker;
@@ -7,10 +7,53 @@
  * @module matomo-form-analytics-custom-field-tracker
  */
 
-// Main tracker integration
-export { default } from './FormAnalyticsCustomFieldTracker.js';
+// Main tracker integration (default singleton and isolated instances)
+export {
+    default,
+    createCustomFieldTracker,
+    getDefaultTracker,
+    getAvailableFieldTypes,
+    isFieldTypeSupported,
+    getDebugMode
+} from './FormAnalyticsCustomFieldTracker.js';
+export { CustomFieldTracker } from './CustomFieldTracker.js';
 // Base field class for extending (for developers who want to create custom fields)
 export { BaseField } from './BaseField.js';
+// Base class for widgets made of several controls reported as one field
+export { CompositeField } from './CompositeField.js';
+// Field class factory for simple widgets (no subclassing needed)
+export { defineField } from './defineField.js';
+// Field naming helpers (resolver chain, normalization, unique names)
+export { createFieldNameResolver, normalizeFieldName, getUniqueFieldName } from './FieldNaming.js';
+// Repeatable group helpers (group paths, grouped names, aggregated group fields)
+export { getFieldGroupPath, formatGroupedFieldName, FieldGroupAggregate } from './FieldGroups.js';
+// Shadow DOM helpers (queries, containment and event targets through open shadow roots)
+export { getOpenShadowRoots, querySelectorAllDeep, querySelectorDeep, containsDeep, closestDeep, getEventTarget } from './ShadowDom.js';
+// Activity clock (time spent excluding hidden, unfocused and idle periods)
+export { ActivityClock } from './ActivityClock.js';
+// Opt-in value capture (hashing, bucketing)
+export { DEFAULT_VALUE_CAPTURE, serializeValue, hashValue, bucketValue, formatCapturedValue } from './ValueCapture.js';
+// Matomo reporters (captured values and validation errors as Matomo events)
+export { createMatomoValueReporter, createMatomoValidationReporter } from './ValueReporter.js';
+// Privacy helpers (exclusion and sensitive attributes, Matomo consent state)
+export { IGNORE_ATTRIBUTE, SENSITIVE_ATTRIBUTE, isIgnoredElement, readMatomoConsent, watchMatomoConsent } from './Privacy.js';
+// Form submission helpers (submission triggers, FormAnalytics submit and conversion tracking)
+export { watchFormSubmission, trackMatomoFormSubmit } from './FormSubmission.js';
+// Registration-time validation of field classes
+export { validateFieldClass, getSelectorOverlap } from './FieldValidator.js';
+// Built-in field library (each field is also importable on its own from ./fields)
+export {
+    WysiwygField,
+    ProseMirrorField,
+    TinyMceField,
+    QuillField,
+    CkEditorField,
+    RatingField,
+    ImageSelectorField,
+    SignatureField,
+    FileDropField,
+    DeclarativeField
+} from './fields/index.js';
 // Field categories enum (The field category that is supported by Matomo's FormAnalytics)
 export {
     FieldCategories,
@@ -18,3 +61,33 @@ export {
     getSupportedFieldCategories,
     getFieldCategoryDescription
 } from './Enums/FieldCategories.js';
+// Default init() options
+export { DEFAULT_OPTIONS } from './Options.js';
+// Tracker lookup (name of the DOM event dispatched on forms that never get a tracker)
+export { TRACKER_MISSING_EVENT } from './TrackerResolver.js';
+// Event bus (used by the tracker and every field) and the events it emits
+export { EventEmitter } from './EventEmitter.js';
+export { TrackerEvents } from './Enums/TrackerEvents.js';
+// Logger (levels, namespaces and pluggable sinks)
+export { Logger, getLogger, createConsoleSink, createMemorySink } from './Logger.js';
+export { LogLevels, isValidLogLevel } from './Enums/LogLevels.js';
+// Removal policies enum (What happens to custom fields removed from the form)
+export { RemovalPolicies, isValidRemovalPolicy } from './Enums/RemovalPolicies.js';
+// Native field policies enum (What happens to native inputs nested in custom fields)
+export { NativeFieldPolicies, isValidNativeFieldPolicy } from './Enums/NativeFieldPolicies.js';
+// Duplicate name policies enum (What happens to fields whose name is already used in the form)
+export { DuplicateNamePolicies, isValidDuplicateNamePolicy } from './Enums/DuplicateNamePolicies.js';
+// Input kinds enum (Pastes, cuts, drops, undos, redos, autofills and IME compositions counted on fields)
+export { InputKinds, isValidInputKind } from './Enums/InputKinds.js';
+// Group naming modes enum (How fields inside repeatable groups are reported)
+export { GroupNamingModes, isValidGroupNamingMode } from './Enums/GroupNamingModes.js';
+// Pause reasons enum (Why the activity clock stops counting time spent)
+export { PauseReasons, isValidPauseReason } from './Enums/PauseReasons.js';
+// Value capture modes enum (How the values of fields opting into value capture are recorded)
+export { ValueCaptureModes, isValidValueCaptureMode } from './Enums/ValueCaptureModes.js';
+// Consent modes enum (When custom field tracking may start)
+export { ConsentModes, isValidConsentMode } from './Enums/ConsentModes.js';
+// Validation error codes enum (Common codes for validation errors reported on custom fields)
+export { ValidationErrorCodes, isValidValidationErrorCode } from './Enums/ValidationErrorCodes.js';
+// Submit triggers enum (What detected the submission of a form)
+export { SubmitTriggers, isValidSubmitTrigger } from './Enums/SubmitTriggers.js';
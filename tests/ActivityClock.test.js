@@ -0,0 +1,118 @@
+import { ActivityClock } from '../src/ActivityClock.js';
+import { PauseReasons } from '../src/Enums/PauseReasons.js';
+import { WysiwygField } from '../src/fields/index.js';
+
+const setVisibility = (state) => {
+    Object.defineProperty(document, 'visibilityState', { configurable: true, get: () => state });
+    document.dispatchEvent(new Event('visibilitychange'));
+};
+
+describe('ActivityClock', () => {
+    let clock;
+
+    beforeEach(() => {
+        // Fake timers also drive performance.now()
+        jest.useFakeTimers();
+        clock = new ActivityClock();
+    });
+
+    afterEach(() => {
+        clock.stop();
+        setVisibility('visible');
+        jest.useRealTimers();
+        document.body.innerHTML = '';
+    });
+
+    test('should not count the time the page is hidden', () => {
+        clock.start();
+        const start = clock.now();
+
+        jest.advanceTimersByTime(2000);
+        setVisibility('hidden');
+        jest.advanceTimersByTime(20 * 60 * 1000);
+        setVisibility('visible');
+        jest.advanceTimersByTime(500);
+
+        expect(clock.now() - start).toBe(2500);
+        expect(clock.isPaused()).toBe(false);
+    });
+
+    test('should pause after the idle timeout and resume on input', () => {
+        clock.configure({ idleTimeout: 1000 });
+        clock.start();
+        const start = clock.now();
+
+        jest.advanceTimersByTime(5000);
+        expect(clock.getPauseReasons()).toEqual([PauseReasons.IDLE]);
+
+        document.dispatchEvent(new KeyboardEvent('keydown', { key: 'a' }));
+        jest.advanceTimersByTime(300);
+
+        expect(clock.now() - start).toBe(1300);
+    });
+
+    test('should keep running when the focus moves into an iframe of the page', () => {
+        document.body.innerHTML = '<iframe></iframe>';
+        clock.start();
+
+        document.querySelector('iframe').focus();
+        window.dispatchEvent(new FocusEvent('blur'));
+        expect(clock.isPaused()).toBe(false);
+
+        document.activeElement.blur();
+        window.dispatchEvent(new FocusEvent('blur'));
+        expect(clock.getPauseReasons()).toEqual([PauseReasons.BLUR]);
+
+        window.dispatchEvent(new FocusEvent('focus'));
+        expect(clock.isPaused()).toBe(false);
+    });
+
+    test('should never run backwards or read 0', () => {
+        let time = 1000;
+        clock = new ActivityClock(undefined, () => time);
+        const start = clock.now();
+        time = 0;
+
+        expect(clock.now()).toBeGreaterThanOrEqual(start);
+        expect(clock.now()).toBeGreaterThan(0);
+    });
+
+    test('should leave a hidden tab out of the time spent in a field', () => {
+        const element = document.createElement('div');
+        element.innerHTML = '<div class="ql-editor" contenteditable="true"></div>';
+        document.body.appendChild(element);
+        const tracker = { setEngagedWithForm: jest.fn(), trackFieldUpdate: jest.fn(), scheduleSendUpdate: jest.fn() };
+        const field = new WysiwygField(tracker, element, 'bio');
+        field.clock = clock;
+        clock.start();
+
+        field.onFocus();
+        jest.advanceTimersByTime(3000);
+        setVisibility('hidden');
+        jest.advanceTimersByTime(20 * 60 * 1000);
+        setVisibility('visible');
+        field.onBlur();
+
+        expect(field.getTrackingParams().fa_fts).toBe(3000);
+        expect(field.getTrackingParams().fa_fht).toBe(3000);
+        field.destroy();
+    });
+
+    test('fields should not start a clock nobody stops', () => {
+        const addEventListener = jest.spyOn(window, 'addEventListener');
+        const element = document.createElement('div');
+        element.innerHTML = '<div class="ql-editor" contenteditable="true"></div>';
+        document.body.appendChild(element);
+        const tracker = { setEngagedWithForm: jest.fn(), trackFieldUpdate: jest.fn(), scheduleSendUpdate: jest.fn() };
+
+        const field = new WysiwygField(tracker, element, 'bio');
+        field.onFocus();
+        jest.advanceTimersByTime(1500);
+        field.onBlur();
+
+        expect(addEventListener).not.toHaveBeenCalledWith('blur', expect.anything(), expect.anything());
+        expect(field.getTrackingParams().fa_fts).toBe(1500);
+        addEventListener.mockRestore();
+        field.destroy();
+    });
+});
@@ -0,0 +1,100 @@
+import { CompositeField } from '../src/CompositeField.js';
+import { FieldCategories } from '../src/Enums/FieldCategories.js';
+import { createTracker } from './helpers.js';
+
+class DateField extends CompositeField {
+    static fieldType = 'date';
+    static category = FieldCategories.SELECTABLE;
+    static selector = '.date[data-name]';
+}
+
+const renderDate = () => {
+    document.body.innerHTML = `<form>
+        <div class="date" data-name="birthday">
+            <select class="day"><option value=""></option><option value="12">12</option></select>
+            <select class="month"><option value=""></option><option value="3">3</option></select>
+            <input class="year">
+        </div>
+        <input class="outside">
+    </form>`;
+    return document.querySelector('.date');
+};
+
+const focus = (from, to) => {
+    from?.dispatchEvent(new FocusEvent('focusout', { bubbles: true, relatedTarget: to }));
+    to?.dispatchEvent(new FocusEvent('focusin', { bubbles: true, relatedTarget: from }));
+};
+
+describe('CompositeField', () => {
+    let field;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        field = new DateField(createTracker(), renderDate(), 'birthday');
+        field.setupEventListeners();
+    });
+
+    afterEach(() => {
+        field.destroy();
+        jest.useRealTimers();
+        document.body.innerHTML = '';
+    });
+
+    test('should keep one focus session while moving between parts', () => {
+        const [day, month, year] = field.getParts();
+        const onBlur = jest.spyOn(field, 'onBlur');
+
+        focus(null, day);
+        focus(day, month);
+        focus(month, year);
+        jest.runOnlyPendingTimers();
+
+        expect(field.numFocus).toBe(1);
+        expect(onBlur).not.toHaveBeenCalled();
+
+        focus(year, document.querySelector('.outside'));
+        expect(onBlur).toHaveBeenCalledTimes(1);
+        expect(field.startFocus).toBeNull();
+    });
+
+    test('should close the session after a blur without destination unless a part is focused', () => {
+        const [day, month] = field.getParts();
+
+        focus(null, day);
+        day.dispatchEvent(new FocusEvent('focusout', { bubbles: true }));
+        month.dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+        jest.runOnlyPendingTimers();
+        expect(field.startFocus).not.toBeNull();
+
+        month.dispatchEvent(new FocusEvent('focusout', { bubbles: true }));
+        jest.advanceTimersByTime(DateField.blurDelay);
+        expect(field.startFocus).toBeNull();
+    });
+
+    test('should combine sizes and blank state of all parts', () => {
+        const [day, month, year] = field.getParts();
+        expect(field.isBlank()).toBe(true);
+
+        day.value = '12';
+        expect(field.isBlank()).toBe(false);
+
+        month.value = '3';
+        year.value = '1990';
+        expect(field.getFieldSize()).toBe(7);
+    });
+
+    test('should track parts of nodes added outside the field element', () => {
+        const outside = document.querySelector('.outside');
+        field.addNode(outside);
+
+        focus(null, field.getParts()[0]);
+        focus(field.getParts()[0], outside);
+        outside.value = 'x';
+        outside.dispatchEvent(new Event('input', { bubbles: true }));
+
+        expect(field.getParts()).toContain(outside);
+        expect(field.numFocus).toBe(1);
+        expect(field.numChanges).toBe(1);
+        expect(field.getFieldSize()).toBe(1);
+    });
+});
@@ -0,0 +1,49 @@
+import { EventEmitter } from '../src/EventEmitter.js';
+
+describe('EventEmitter', () => {
+    test('should call subscribed handlers with the payload', () => {
+        const emitter = new EventEmitter();
+        const handler = jest.fn();
+
+        emitter.on('field:change', handler);
+        emitter.emit('field:change', { value: 1 });
+
+        expect(handler).toHaveBeenCalledWith({ value: 1 });
+    });
+
+    test('on() should return an unsubscribe function', () => {
+        const emitter = new EventEmitter();
+        const handler = jest.fn();
+
+        const unsubscribe = emitter.on('field:focus', handler);
+        unsubscribe();
+        emitter.emit('field:focus', {});
+
+        expect(handler).not.toHaveBeenCalled();
+    });
+
+    test('once() should only handle the next event', () => {
+        const emitter = new EventEmitter();
+        const handler = jest.fn();
+
+        emitter.once('field:blur', handler);
+        emitter.emit('field:blur', {});
+        emitter.emit('field:blur', {});
+
+        expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    test('should report handler errors without interrupting other handlers', () => {
+        const onError = jest.fn();
+        const emitter = new EventEmitter(onError);
+        const handler = jest.fn();
+        const error = new Error('boom');
+
+        emitter.on('field:change', () => { throw error; });
+        emitter.on('field:change', handler);
+        emitter.emit('field:change', {});
+
+        expect(onError).toHaveBeenCalledWith(error, 'field:change');
+        expect(handler).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,38 @@
+import { getFieldGroupPath, formatGroupedFieldName } from '../src/FieldGroups.js';
+
+const options = { groupSelector: '[data-matomo-group]', groupNameAttribute: 'data-matomo-group' };
+
+describe('FieldGroups', () => {
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    test('should index nested groups within their enclosing group', () => {
+        document.body.innerHTML = `<form>
+            <div data-matomo-group="room"><div data-matomo-group="guest"><i></i></div></div>
+            <div data-matomo-group="room">
+                <div data-matomo-group="guest"><i></i></div>
+                <div data-matomo-group="guest"><i class="field"></i></div>
+            </div>
+        </form>`;
+        const form = document.querySelector('form');
+        const path = getFieldGroupPath(form.querySelector('.field'), form, options);
+
+        expect(path.map(({ name, index }) => [name, index])).toEqual([['room', 2], ['guest', 2]]);
+    });
+
+    test('should return an empty path outside groups or when groups are disabled', () => {
+        document.body.innerHTML = '<form><div data-matomo-group="guest"><i></i></div></form>';
+        const form = document.querySelector('form');
+
+        expect(getFieldGroupPath(form, form, options)).toEqual([]);
+        expect(getFieldGroupPath(form.querySelector('i'), form, { ...options, groupSelector: null })).toEqual([]);
+    });
+
+    test('should format instance and group names', () => {
+        const path = [{ name: 'room', index: 1 }, { name: 'guest', index: 3 }];
+
+        expect(formatGroupedFieldName('rating', path, 'instance')).toBe('room[1].guest[3].rating');
+        expect(formatGroupedFieldName('rating', path, 'group')).toBe('room.guest.rating');
+    });
+});
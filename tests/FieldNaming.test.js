@@ -0,0 +1,53 @@
+import { createFieldNameResolver, normalizeFieldName, getUniqueFieldName } from '../src/FieldNaming.js';
+
+const render = (html) => {
+    document.body.innerHTML = html;
+    return document.body.firstElementChild;
+};
+
+describe('FieldNaming', () => {
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    test('should try the primary attribute, then the fallbacks in order', () => {
+        const resolve = createFieldNameResolver({
+            fieldNameAttribute: 'data-name',
+            fieldNameResolvers: ['data-field-key', 'name', element => element.getAttribute('aria-label')]
+        });
+
+        expect(resolve(render('<div data-name="primary" data-field-key="key"></div>'))).toBe('primary');
+        expect(resolve(render('<div data-field-key="key" name="other"></div>'))).toBe('key');
+        expect(resolve(render('<div><input name="nested"></div>'))).toBe('nested');
+        expect(resolve(render('<div aria-label="Label"></div>'))).toBe('Label');
+        expect(resolve(render('<div></div>'))).toBeNull();
+    });
+
+    test('should not read the primary attribute from descendants', () => {
+        const resolve = createFieldNameResolver({ fieldNameAttribute: 'data-name' });
+
+        expect(resolve(render('<div><span data-name="inner"></span></div>'))).toBeNull();
+    });
+
+    test('should normalize and alias resolved names', () => {
+        const resolve = createFieldNameResolver({
+            fieldNameAttribute: 'data-name',
+            fieldNameNormalizer: true,
+            fieldNameAliases: { 'how-satisfied-are-you': 'satisfaction' }
+        });
+        const resolveWithFunction = createFieldNameResolver({
+            fieldNameAttribute: 'data-name',
+            fieldNameAliases: name => (name.startsWith('cmF0aW5n') ? 'rating' : null)
+        });
+
+        expect(resolve(render('<div data-name=" How satisfied are you? "></div>'))).toBe('satisfaction');
+        expect(resolve(render('<div data-name="Other Field"></div>'))).toBe('other-field');
+        expect(resolveWithFunction(render('<div data-name="cmF0aW5nOjIwMjU="></div>'))).toBe('rating');
+    });
+
+    test('should build unique names with a numeric suffix', () => {
+        expect(normalizeFieldName('--A  b__C--')).toBe('a-b-c');
+        expect(getUniqueFieldName('rating', ['email'])).toBe('rating');
+        expect(getUniqueFieldName('rating', ['rating', 'rating-2'])).toBe('rating-3');
+    });
+});
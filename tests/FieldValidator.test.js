@@ -0,0 +1,48 @@
+import { validateFieldClass, getSelectorOverlap } from '../src/FieldValidator.js';
+import { BaseField } from '../src/BaseField.js';
+import { RatingField } from '../src/fields/index.js';
+
+describe('FieldValidator', () => {
+    test('should accept a complete field class', () => {
+        expect(validateFieldClass('rating', RatingField)).toEqual([]);
+    });
+
+    test('should report every problem of an invalid class', () => {
+        class BrokenField extends BaseField {
+            static fieldType = 'broken';
+            static category = 'FIELD_NOPE';
+            static selector = '.broken[';
+
+            isBlank() {
+                return true;
+            }
+        }
+
+        const problems = validateFieldClass('SampleBrokenField', BrokenField);
+
+        expect(problems).toEqual([
+            expect.stringContaining('static fieldType is "broken"'),
+            expect.stringContaining('invalid category "FIELD_NOPE"'),
+            expect.stringContaining('invalid selector'),
+            expect.stringContaining('must implement getInteractiveElement()'),
+            expect.stringContaining('must implement getFieldSize()')
+        ]);
+    });
+
+    test('should reject classes that do not extend BaseField', () => {
+        expect(validateFieldClass('plain', class {})).toEqual([expect.stringContaining('must extend BaseField')]);
+    });
+
+    test('should find identical selectors in two selector lists', () => {
+        expect(getSelectorOverlap('.a[data-name], .b', '.c,  .b')).toEqual(['.b']);
+        expect(getSelectorOverlap('.a', '.b')).toEqual([]);
+    });
+
+    test('should only split selector lists on top-level commas', () => {
+        expect(getSelectorOverlap(':is(.a, .b) .star', '.b')).toEqual([]);
+        expect(getSelectorOverlap('.x:not(.y, .z)', '.z')).toEqual([]);
+        expect(getSelectorOverlap('[data-x="a,b"], .c', '.c, [data-x="a,b"]')).toEqual(['[data-x="a,b"]', '.c']);
+        expect(getSelectorOverlap("[data-x='a,b']", 'b\']')).toEqual([]);
+        expect(getSelectorOverlap(':is(.a, .b)', ':is(.a,  .b), .c')).toEqual([':is(.a, .b)']);
+    });
+});
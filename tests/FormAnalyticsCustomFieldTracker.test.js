@@ -0,0 +1,1032 @@
+import FormAnalyticsCustomFieldTracker, { createCustomFieldTracker, getDefaultTracker } from '../src/FormAnalyticsCustomFieldTracker.js';
+import { CustomFieldTracker } from '../src/CustomFieldTracker.js';
+import { createMemorySink, getLogger } from '../src/Logger.js';
+import { RatingField, WysiwygField } from '../src/fields/index.js';
+import { RemovalPolicies } from '../src/Enums/RemovalPolicies.js';
+import { CompositeField } from '../src/CompositeField.js';
+import { createTracker } from './helpers.js';
+
+const renderForm = () => {
+    document.body.innerHTML = `<form>
+        <div class="formulate-input-element--rating-container" data-name="rating">
+            <span class="star"></span><span class="star"></span>
+        </div>
+    </form>`;
+    return document.querySelector('form');
+};
+
+const flushPromises = async () => {
+    for (let i = 0; i < 5; i++) {
+        await Promise.resolve();
+    }
+};
+
+describe('FormAnalyticsCustomFieldTracker', () => {
+    let tracker;
+
+    const start = async () => {
+        FormAnalyticsCustomFieldTracker.init([{ fieldType: 'rating', FieldClass: RatingField }]);
+        jest.runOnlyPendingTimers();
+        await flushPromises();
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        tracker = createTracker();
+        window.Piwik = { FormAnalytics: { element: { findFormTrackerInstance: () => tracker } } };
+    });
+
+    afterEach(() => {
+        FormAnalyticsCustomFieldTracker.destroy();
+        jest.useRealTimers();
+        delete window.Piwik;
+        delete window.matomoFormAnalyticsAsyncInit;
+        document.body.innerHTML = '';
+    });
+
+    test('should inject custom fields into the form tracker', async () => {
+        const form = renderForm();
+        await start();
+
+        expect(tracker.fields).toHaveLength(1);
+        expect(tracker.fieldNodes).toEqual([form.firstElementChild]);
+    });
+
+    test('should keep the root logger configuration when init() passes no logging options', async () => {
+        const sink = createMemorySink();
+        getLogger().setSink(sink);
+        getLogger().setLevel('debug');
+        renderForm();
+
+        try {
+            await start();
+
+            expect(getLogger().getLevel()).toBe('debug');
+            expect(sink.entries.length).toBeGreaterThan(0);
+        } finally {
+            getLogger().setSink(console);
+            getLogger().setLevel('silent');
+        }
+    });
+
+    test('legacy init() should not write warnings to the console', async () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        document.body.innerHTML = `<form>
+            <div class="formulate-input-element--rating-container" data-name="rating"><span class="star"></span></div>
+            <div class="formulate-input-element--rating-container" data-name="rating"><span class="star"></span></div>
+        </form>`;
+
+        const instance = createCustomFieldTracker();
+
+        try {
+            instance.init([{ fieldType: 'rating', FieldClass: RatingField }], false);
+            jest.runOnlyPendingTimers();
+            await flushPromises();
+
+            expect(tracker.fields).toHaveLength(2);
+            expect(warn).not.toHaveBeenCalled();
+        } finally {
+            instance.destroy();
+            warn.mockRestore();
+        }
+    });
+
+    test('fields should accept the legacy debug flag', () => {
+        const field = new RatingField(createTracker(), renderForm().firstElementChild, 'rating');
+
+        try {
+            field.debug = true;
+            expect(field.debug).toBe(true);
+            expect(getLogger().getLevel()).toBe('debug');
+
+            field.debug = false;
+            expect(field.debug).toBe(false);
+            expect(getLogger().getLevel()).toBe('silent');
+        } finally {
+            getLogger().setLevel('silent');
+        }
+    });
+
+    test('detachForm() should destroy the fields and remove them from the tracker', async () => {
+        const form = renderForm();
+        await start();
+        const [field] = tracker.fields;
+
+        expect(FormAnalyticsCustomFieldTracker.detachForm(form)).toBe(true);
+        expect(field._isDestroyed).toBe(true);
+        expect(tracker.fields).toHaveLength(0);
+        expect(tracker.fieldNodes).toHaveLength(0);
+        expect(FormAnalyticsCustomFieldTracker.detachForm(form)).toBe(false);
+    });
+
+    test('reinit() should replace the fields with fresh instances', async () => {
+        renderForm();
+        await start();
+        const [field] = tracker.fields;
+
+        FormAnalyticsCustomFieldTracker.reinit();
+        jest.runOnlyPendingTimers();
+        await flushPromises();
+
+        expect(field._isDestroyed).toBe(true);
+        expect(tracker.fields).toHaveLength(1);
+        expect(tracker.fields[0]).not.toBe(field);
+    });
+
+    test('should keep the last metrics of a removed field by default', async () => {
+        const form = renderForm();
+        await start();
+        const [field] = tracker.fields;
+        field.numChanges = 2;
+
+        form.firstElementChild.remove();
+        await Promise.resolve();
+
+        expect(field._isDestroyed).toBe(true);
+        expect(tracker.fields).toEqual([field]);
+        expect(tracker.fieldNodes).toHaveLength(0);
+        expect(field.getTrackingParams().fa_fch).toBe(2);
+    });
+
+    test('should keep a single entry for a field hidden and shown again', async () => {
+        const form = renderForm();
+        await start();
+        const element = form.firstElementChild;
+
+        for (let cycle = 0; cycle < 3; cycle++) {
+            tracker.fields[0].numChanges++;
+            element.remove();
+            await Promise.resolve();
+            form.appendChild(element);
+            await Promise.resolve();
+            jest.runOnlyPendingTimers();
+        }
+
+        expect(tracker.fields).toHaveLength(1);
+        expect(tracker.fields[0]._isDestroyed).toBe(false);
+        expect(tracker.fields[0].getTrackingParams()).toMatchObject({ fa_fn: 'rating', fa_fch: 3 });
+        expect(tracker.fieldNodes).toEqual([element]);
+    });
+
+    test('should drop a removed field from the tracker with the DROP policy', async () => {
+        const form = renderForm();
+        await start();
+        FormAnalyticsCustomFieldTracker.setRemovalPolicy(RemovalPolicies.DROP);
+
+        form.firstElementChild.remove();
+        await Promise.resolve();
+        FormAnalyticsCustomFieldTracker.setRemovalPolicy(RemovalPolicies.KEEP);
+
+        expect(tracker.fields).toHaveLength(0);
+        expect(tracker.fieldNodes).toHaveLength(0);
+    });
+
+    test('init() should accept an options object', async () => {
+        document.body.innerHTML = `<div class="survey">
+            <div class="score" data-field-key="score"><span class="star"></span></div>
+        </div>`;
+
+        FormAnalyticsCustomFieldTracker.init({
+            fields: [{ fieldType: 'score', FieldClass: RatingField.configure({ fieldType: 'score', selector: '.score' }) }],
+            formSelector: '.survey',
+            fieldNameAttribute: 'data-field-key',
+            trackerLookupDelay: 0
+        });
+        jest.runOnlyPendingTimers();
+        await flushPromises();
+
+        expect(tracker.fields).toHaveLength(1);
+        expect(tracker.fields[0].fieldName).toBe('score');
+    });
+
+    test('should re-scan when a registered custom field is added to non-Formulate markup', async () => {
+        const form = renderForm();
+        const ImageField = RatingField.configure({ fieldType: 'image', selector: '.image-choice[data-name]' });
+        FormAnalyticsCustomFieldTracker.init({ fields: [{ fieldType: 'image', FieldClass: ImageField }] });
+        jest.runOnlyPendingTimers();
+        await flushPromises();
+
+        form.insertAdjacentHTML('beforeend', '<section><div class="image-choice" data-name="pick"><span class="star"></span></div></section>');
+        await Promise.resolve();
+        jest.runOnlyPendingTimers();
+
+        expect(tracker.fields.map(field => field.fieldName)).toContain('pick');
+    });
+
+    test('should chain an existing matomoFormAnalyticsAsyncInit callback', async () => {
+        renderForm();
+        const piwik = window.Piwik;
+        delete window.Piwik;
+        const existingCallback = jest.fn();
+        window.matomoFormAnalyticsAsyncInit = existingCallback;
+
+        FormAnalyticsCustomFieldTracker.init([{ fieldType: 'rating', FieldClass: RatingField }]);
+        window.Piwik = piwik;
+        window.matomoFormAnalyticsAsyncInit();
+        jest.runOnlyPendingTimers();
+        await flushPromises();
+
+        expect(existingCallback).toHaveBeenCalledTimes(1);
+        expect(tracker.fields).toHaveLength(1);
+    });
+
+    test('should report an error when FormAnalytics never loads', () => {
+        delete window.Piwik;
+        const logger = { log: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+        FormAnalyticsCustomFieldTracker.init({ logger, formAnalyticsTimeout: 500 });
+        jest.advanceTimersByTime(500);
+
+        expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('did not load within 500ms'));
+    });
+
+    test('reinit() before FormAnalytics loads should keep waiting for it', async () => {
+        const savedPiwik = window.Piwik;
+        delete window.Piwik;
+        renderForm();
+        const logger = { log: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+        const instance = createCustomFieldTracker({ fields: [{ fieldType: 'rating', FieldClass: RatingField }], logger, formAnalyticsTimeout: 60000 });
+        instance.init();
+        instance.reinit();
+        jest.advanceTimersByTime(30000);
+        await flushPromises();
+
+        expect(logger.warn).not.toHaveBeenCalled();
+
+        window.Piwik = savedPiwik;
+        window.matomoFormAnalyticsAsyncInit();
+        jest.runOnlyPendingTimers();
+        await flushPromises();
+
+        expect(tracker.fields).toHaveLength(1);
+        jest.advanceTimersByTime(60000);
+        expect(logger.error).not.toHaveBeenCalled();
+        instance.destroy();
+    });
+
+    test('reinit() should still report FormAnalytics never loading', () => {
+        delete window.Piwik;
+        const logger = { log: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+        const instance = createCustomFieldTracker({ logger, formAnalyticsTimeout: 500 });
+        instance.init();
+        jest.advanceTimersByTime(300);
+        instance.reinit();
+        jest.advanceTimersByTime(500);
+
+        expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('did not load within 500ms'));
+        instance.destroy();
+    });
+
+    test('should retry the tracker lookup until FormAnalytics attached a tracker', async () => {
+        const form = renderForm();
+        const findFormTrackerInstance = jest.fn()
+            .mockReturnValueOnce(null)
+            .mockReturnValueOnce(null)
+            .mockReturnValue(tracker);
+        window.Piwik.FormAnalytics.element.findFormTrackerInstance = findFormTrackerInstance;
+
+        FormAnalyticsCustomFieldTracker.init([{ fieldType: 'rating', FieldClass: RatingField }]);
+        const lookup = FormAnalyticsCustomFieldTracker.whenFormReady(form);
+        jest.runAllTimers();
+
+        await expect(lookup).resolves.toEqual({ form, tracker, attempts: 3 });
+        expect(tracker.fields).toHaveLength(1);
+    });
+
+    test('should report forms that never get a tracker', async () => {
+        const form = renderForm();
+        window.Piwik.FormAnalytics.element.findFormTrackerInstance = () => null;
+        const onMissing = jest.fn();
+        form.addEventListener('matomo-custom-fields:tracker-missing', onMissing);
+
+        FormAnalyticsCustomFieldTracker.init({ trackerLookupAttempts: 2 });
+        jest.runAllTimers();
+        await flushPromises();
+
+        expect(onMissing).toHaveBeenCalledTimes(1);
+        expect(onMissing.mock.calls[0][0].detail.attempts).toBe(2);
+    });
+
+    test('should attach to forms added after init and detach removed ones', async () => {
+        await start();
+
+        const form = renderForm();
+        await flushPromises();
+        jest.runOnlyPendingTimers();
+        await flushPromises();
+
+        expect(tracker.fields).toHaveLength(1);
+        const [field] = tracker.fields;
+
+        form.remove();
+        await flushPromises();
+
+        expect(field._isDestroyed).toBe(true);
+        expect(tracker.fields).toHaveLength(0);
+    });
+
+    test('should attach again to a form removed and re-inserted', async () => {
+        await start();
+        const form = renderForm();
+        const settle = async () => {
+            await flushPromises();
+            jest.runOnlyPendingTimers();
+            await flushPromises();
+        };
+        await settle();
+
+        form.remove();
+        await settle();
+        document.body.appendChild(form);
+        await settle();
+
+        expect(FormAnalyticsCustomFieldTracker.attachedForms.has(form)).toBe(true);
+        expect(tracker.fields).toHaveLength(1);
+        expect(tracker.fields[0]._isDestroyed).toBe(false);
+    });
+
+    test('should forward field events to the tracker event bus', async () => {
+        renderForm();
+        const onIntegrated = jest.fn();
+        const onChange = jest.fn();
+        const unsubscribeIntegrated = FormAnalyticsCustomFieldTracker.on('field:integrated', onIntegrated);
+        const unsubscribeChange = FormAnalyticsCustomFieldTracker.on('field:change', onChange);
+        await start();
+
+        const [field] = tracker.fields;
+        document.querySelector('.star').click();
+        unsubscribeIntegrated();
+        unsubscribeChange();
+
+        expect(onIntegrated).toHaveBeenCalledWith(expect.objectContaining({ field, tracker }));
+        expect(onChange).toHaveBeenCalledWith({ field });
+    });
+});
+
+describe('createCustomFieldTracker', () => {
+    let instances;
+
+    beforeEach(() => {
+        instances = [];
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        instances.forEach(instance => instance.destroy());
+        jest.useRealTimers();
+        delete window.Piwik;
+        delete window.matomoFormAnalyticsAsyncInit;
+        document.body.innerHTML = '';
+    });
+
+    const create = (options) => {
+        const instance = createCustomFieldTracker(options);
+        instances.push(instance);
+        return instance;
+    };
+
+    test('should keep a separate registry, logger and options per instance', () => {
+        const first = create({ fields: [{ fieldType: 'rating', FieldClass: RatingField }], debug: true });
+        const second = create({ formSelector: '.survey' });
+
+        expect(first.isFieldTypeSupported('rating')).toBe(true);
+        expect(second.isFieldTypeSupported('rating')).toBe(false);
+        expect(first.getDebugMode()).toBe(true);
+        expect(second.getDebugMode()).toBe(false);
+        expect(first.logger).not.toBe(second.logger);
+        expect(first.options.formSelector).not.toBe(second.options.formSelector);
+        expect(FormAnalyticsCustomFieldTracker.getDebugMode()).toBe(false);
+    });
+
+    test('the default export should forward to the lazily created default tracker', () => {
+        const defaultTracker = getDefaultTracker();
+
+        expect(defaultTracker).toBeInstanceOf(CustomFieldTracker);
+        expect(getDefaultTracker()).toBe(defaultTracker);
+        expect(FormAnalyticsCustomFieldTracker).toBeInstanceOf(CustomFieldTracker);
+        expect(FormAnalyticsCustomFieldTracker.logger).toBe(getLogger());
+        expect(FormAnalyticsCustomFieldTracker.attachedForms).toBe(defaultTracker.attachedForms);
+    });
+
+    test('should integrate fields with the logger and event bus of their instance', async () => {
+        const form = renderForm();
+        const tracker = createTracker();
+        window.Piwik = { FormAnalytics: { element: { findFormTrackerInstance: () => tracker } } };
+        const sink = createMemorySink();
+        const instance = create({ fields: [{ fieldType: 'rating', FieldClass: RatingField }], logger: sink, debug: true });
+        const onChange = jest.fn();
+        instance.on('field:change', onChange);
+
+        instance.init();
+        jest.runOnlyPendingTimers();
+        await flushPromises();
+        form.querySelector('.star').click();
+
+        const [field] = tracker.fields;
+        expect(field.logger.namespace).toBe('rating');
+        expect(onChange).toHaveBeenCalledWith({ field });
+        expect(sink.entries.some(entry => entry.namespace === 'rating')).toBe(true);
+    });
+
+    test('should forward input kinds and fold them with the foldInputCounts option', async () => {
+        document.body.innerHTML = '<form><div class="wysiwyg" data-name="bio"><div class="ql-editor" contenteditable="true"></div></div></form>';
+        const tracker = createTracker();
+        window.Piwik = { FormAnalytics: { element: { findFormTrackerInstance: () => tracker } } };
+        const instance = create({ fields: [{ fieldType: 'wysiwyg', FieldClass: WysiwygField }], foldInputCounts: true });
+        const onInput = jest.fn();
+        instance.on('field:input', onInput);
+
+        instance.init();
+        jest.runOnlyPendingTimers();
+        await flushPromises();
+        const [field] = tracker.fields;
+        field.editor.dispatchEvent(new FocusEvent('focus'));
+        field.editor.dispatchEvent(new InputEvent('beforeinput', { inputType: 'deleteByCut' }));
+
+        expect(onInput).toHaveBeenCalledWith({ field, kind: 'cut' });
+        expect(field.numDeletes).toBe(1);
+    });
+
+    test('should chain the async init hooks of every instance', async () => {
+        renderForm().insertAdjacentHTML('beforeend', '<div class="score" data-name="score"><span class="star"></span></div>');
+        const ScoreField = RatingField.configure({ fieldType: 'score', selector: '.score[data-name]' });
+        const first = create({ fields: [{ fieldType: 'rating', FieldClass: RatingField }] });
+        const second = create({ fields: [{ fieldType: 'score', FieldClass: ScoreField }] });
+        first.init();
+        second.init();
+        first.init();
+
+        const tracker = createTracker();
+        window.Piwik = { FormAnalytics: { element: { findFormTrackerInstance: () => tracker } } };
+        window.matomoFormAnalyticsAsyncInit();
+        jest.runOnlyPendingTimers();
+        await flushPromises();
+
+        expect(tracker.fields.map(field => field.fieldType).sort()).toEqual(['rating', 'score']);
+    });
+});
+
+describe('Declarative fields', () => {
+    afterEach(() => {
+        FormAnalyticsCustomFieldTracker.destroy();
+        delete window.Piwik;
+        document.body.innerHTML = '';
+    });
+
+    test('should integrate data-matomo-field elements unless disabled', async () => {
+        jest.useFakeTimers();
+        document.body.innerHTML = '<form><div data-matomo-field="consent" data-name="consent"></div></form>';
+        const tracker = createTracker();
+        window.Piwik = { FormAnalytics: { element: { findFormTrackerInstance: () => tracker } } };
+
+        FormAnalyticsCustomFieldTracker.init({ features: { declarativeFields: false } });
+        jest.runOnlyPendingTimers();
+        await flushPromises();
+        expect(tracker.fields).toHaveLength(0);
+
+        FormAnalyticsCustomFieldTracker.destroy();
+        FormAnalyticsCustomFieldTracker.init();
+        jest.runOnlyPendingTimers();
+        await flushPromises();
+        jest.useRealTimers();
+
+        expect(tracker.fields).toHaveLength(1);
+        expect(tracker.fields[0].getTrackingParams().fa_ft).toBe('consent');
+    });
+});
+
+describe('Field registration', () => {
+    test('should reject invalid classes and report duplicates and shared selectors', () => {
+        const sink = createMemorySink();
+        const instance = createCustomFieldTracker({ logger: sink });
+        const OtherRating = RatingField.configure({ fieldType: 'otherRating' });
+
+        expect(instance.registerField('SampleRatingField', RatingField)).toBe(false);
+        expect(instance.registerField('rating', RatingField)).toBe(true);
+        expect(instance.registerField('otherRating', OtherRating)).toBe(true);
+        expect(instance.registerField('rating', RatingField.configure())).toBe(true);
+
+        expect(instance.getAvailableFieldTypes()).toEqual(['rating', 'otherRating']);
+        expect(sink.entries.map(entry => entry.args[0])).toEqual([
+            expect.stringContaining('Cannot register custom field "SampleRatingField"'),
+            expect.stringContaining('is also used by "rating"'),
+            expect.stringContaining('already registered'),
+            expect.stringContaining('is also used by "otherRating"')
+        ]);
+        expect(sink.entries[0].level).toBe('error');
+    });
+
+    test('should throw on registration problems in strict mode', () => {
+        const instance = createCustomFieldTracker({ strict: true });
+
+        expect(() => instance.init({ fields: [{ fieldType: 'SampleRatingField', FieldClass: RatingField }] }))
+            .toThrow('Cannot register custom field "SampleRatingField"');
+        expect(instance.isFieldTypeSupported('SampleRatingField')).toBe(false);
+    });
+});
+
+describe('Field conflicts', () => {
+    let tracker;
+    let nativeField;
+
+    const render = () => {
+        document.body.innerHTML = `<form>
+            <div class="formulate-input-element--rating-container choice" data-name="rating">
+                <input type="radio" class="star">
+            </div>
+        </form>`;
+        nativeField = { nodes: [document.querySelector('input')] };
+        tracker.fields.push(nativeField);
+        tracker.fieldNodes.push(nativeField.nodes[0]);
+    };
+
+    const start = async (options) => {
+        const instance = createCustomFieldTracker(options);
+        instance.init();
+        jest.runOnlyPendingTimers();
+        await flushPromises();
+        return instance;
+    };
+
+    let instance;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        tracker = createTracker();
+        window.Piwik = { FormAnalytics: { element: { findFormTrackerInstance: () => tracker } } };
+    });
+
+    afterEach(() => {
+        instance.destroy();
+        jest.useRealTimers();
+        delete window.Piwik;
+        document.body.innerHTML = '';
+    });
+
+    test('should use the class with the highest priority for an element matching several selectors', async () => {
+        render();
+        const ChoiceField = RatingField.configure({ fieldType: 'choice', selector: '.choice[data-name]', priority: 10 });
+        instance = await start({ fields: [
+            { fieldType: 'rating', FieldClass: RatingField },
+            { fieldType: 'choice', FieldClass: ChoiceField }
+        ] });
+
+        const customFields = tracker.fields.filter(field => field !== nativeField);
+        expect(customFields.map(field => field.fieldType)).toEqual(['choice']);
+    });
+
+    test('should replace nested native fields by default', async () => {
+        render();
+        instance = await start({ fields: [{ fieldType: 'rating', FieldClass: RatingField }] });
+
+        expect(tracker.fields).toHaveLength(1);
+        expect(tracker.fields[0]).not.toBe(nativeField);
+        expect(tracker.fieldNodes).toContain(nativeField.nodes[0]);
+    });
+
+    test.each([
+        ['skip', 1, true],
+        ['both', 2, true]
+    ])('should apply the %s native field policy', async (policy, fieldCount, keepsNative) => {
+        render();
+        instance = await start({ fields: [{ fieldType: 'rating', FieldClass: RatingField }], nativeFieldPolicy: policy });
+
+        expect(tracker.fields).toHaveLength(fieldCount);
+        expect(tracker.fields.includes(nativeField)).toBe(keepsNative);
+    });
+
+    test('should replace native fields in the nodes a composite field adds outside its element', async () => {
+        document.body.innerHTML = `<form>
+            <div class="phone" data-name="phone" data-country="country"><input class="number"></div>
+            <select id="country"></select>
+        </form>`;
+        const country = document.getElementById('country');
+        nativeField = { nodes: [country] };
+        tracker.fields.push(nativeField);
+        tracker.fieldNodes.push(country);
+
+        class PhoneField extends CompositeField {
+            static fieldType = 'phone';
+            static category = RatingField.FieldCategories.TEXT;
+            static selector = '.phone[data-name]';
+
+            constructor(...args) {
+                super(...args);
+                this.addNode(document.getElementById(this.element.dataset.country));
+            }
+        }
+        instance = await start({ fields: [{ fieldType: 'phone', FieldClass: PhoneField }] });
+
+        expect(tracker.fields.map(field => field.fieldType)).toEqual(['phone']);
+        expect(tracker.fieldNodes).toContain(country);
+
+        instance.detachForm(document.querySelector('form'));
+        expect(tracker.fieldNodes).not.toContain(country);
+    });
+});
+
+describe('Field naming', () => {
+    let instance;
+
+    afterEach(() => {
+        instance.destroy();
+        jest.useRealTimers();
+        delete window.Piwik;
+        document.body.innerHTML = '';
+    });
+
+    test.each([
+        ['suffix', ['rating', 'rating-2']],
+        ['skip', ['rating']],
+        ['warn', ['rating', 'rating']]
+    ])('should apply the %s duplicate name policy', async (policy, names) => {
+        jest.useFakeTimers();
+        document.body.innerHTML = `<form>
+            <div class="formulate-input-element--rating-container" data-name="rating"><span class="star"></span></div>
+            <div class="formulate-input-element--rating-container" name="rating"><span class="star"></span></div>
+        </form>`;
+        const tracker = createTracker();
+        window.Piwik = { FormAnalytics: { element: { findFormTrackerInstance: () => tracker } } };
+
+        instance = createCustomFieldTracker({
+            fields: [{ fieldType: 'rating', FieldClass: RatingField.configure({ selector: '.formulate-input-element--rating-container' }) }],
+            fieldNameResolvers: ['name'],
+            duplicateFieldNames: policy,
+            logLevel: 'silent'
+        });
+        instance.init();
+        jest.runOnlyPendingTimers();
+        await flushPromises();
+
+        expect(tracker.fields.map(field => field.fieldName)).toEqual(names);
+    });
+});
+
+describe('Repeatable groups', () => {
+    let instance;
+
+    const renderGuests = () => {
+        document.body.innerHTML = `<form>
+            <div data-matomo-group="guest">
+                <div class="formulate-input-element--rating-container" data-name="rating"><span class="star"></span></div>
+            </div>
+            <div data-matomo-group="guest">
+                <div class="formulate-input-element--rating-container" data-name="rating"><span class="star"></span></div>
+            </div>
+        </form>`;
+    };
+
+    const startTracker = async (groupNaming) => {
+        jest.useFakeTimers();
+        const tracker = createTracker();
+        window.Piwik = { FormAnalytics: { element: { findFormTrackerInstance: () => tracker } } };
+
+        instance = createCustomFieldTracker({
+            fields: [{ fieldType: 'rating', FieldClass: RatingField }],
+            groupNaming,
+            logLevel: 'silent'
+        });
+        instance.init();
+        jest.runOnlyPendingTimers();
+        await flushPromises();
+        return tracker;
+    };
+
+    afterEach(() => {
+        instance.destroy();
+        jest.useRealTimers();
+        delete window.Piwik;
+        document.body.innerHTML = '';
+    });
+
+    test('should name every group instance with its index', async () => {
+        renderGuests();
+        const tracker = await startTracker('instance');
+
+        expect(tracker.fields.map(field => field.fieldName)).toEqual(['guest[1].rating', 'guest[2].rating']);
+    });
+
+    test('should aggregate group instances into a single field', async () => {
+        renderGuests();
+        const tracker = await startTracker('group');
+
+        expect(tracker.fields).toHaveLength(1);
+        expect(tracker.fieldNodes).toHaveLength(2);
+
+        const [aggregate] = tracker.fields;
+        document.querySelectorAll('.star').forEach(star => star.click());
+
+        expect(aggregate.fieldName).toBe('guest.rating');
+        expect(aggregate.getTrackingParams().fa_fch).toBe(2);
+        expect(tracker.trackFieldUpdate).toHaveBeenCalledWith(aggregate);
+    });
+
+    test('should count moving the focus between group instances as a new focus', async () => {
+        renderGuests();
+        const tracker = await startTracker('group');
+        const [aggregate] = tracker.fields;
+        const [first, second] = document.querySelectorAll('.star');
+
+        first.dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+        first.dispatchEvent(new FocusEvent('focusout', { bubbles: true, relatedTarget: second }));
+        second.dispatchEvent(new FocusEvent('focusin', { bubbles: true, relatedTarget: first }));
+        second.dispatchEvent(new FocusEvent('focusout', { bubbles: true, relatedTarget: document.body }));
+        second.dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+
+        expect(aggregate.getTrackingParams().fa_ff).toBe(2);
+        expect(tracker.lastFocusedFieldName).toBe('guest.rating');
+    });
+
+    test('should remove the aggregate with its last instance', async () => {
+        renderGuests();
+        const tracker = await startTracker('group');
+        instance.setRemovalPolicy(RemovalPolicies.DROP);
+
+        const groups = document.querySelectorAll('[data-matomo-group]');
+        groups[0].remove();
+        await Promise.resolve();
+        jest.runOnlyPendingTimers();
+        expect(tracker.fields[0].members).toHaveLength(1);
+
+        groups[1].remove();
+        await Promise.resolve();
+        jest.runOnlyPendingTimers();
+        expect(tracker.fields).toHaveLength(0);
+    });
+});
+
+describe('Shadow DOM', () => {
+    let instance;
+    let tracker;
+
+    // Minimal design-system rating rendering its stars in an open shadow root
+    if (!customElements.get('x-rating')) {
+        customElements.define('x-rating', class extends HTMLElement {
+            constructor() {
+                super();
+                this.attachShadow({ mode: 'open' }).innerHTML = '<span class="star"></span><span class="star"></span>';
+            }
+        });
+    }
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        tracker = createTracker();
+        window.Piwik = { FormAnalytics: { element: { findFormTrackerInstance: () => tracker } } };
+    });
+
+    afterEach(() => {
+        instance.destroy();
+        jest.useRealTimers();
+        delete window.Piwik;
+        document.body.innerHTML = '';
+    });
+
+    const start = async (FieldClass) => {
+        instance = createCustomFieldTracker({ fields: [{ fieldType: FieldClass.fieldType, FieldClass }], logLevel: 'silent' });
+        instance.init();
+        jest.runOnlyPendingTimers();
+        await flushPromises();
+    };
+
+    test('should track web components whose items are in a shadow root', async () => {
+        document.body.innerHTML = '<form><x-rating data-name="rating"></x-rating></form>';
+        await start(RatingField.configure({ selector: 'x-rating[data-name]' }));
+
+        const [field] = tracker.fields;
+        field.element.shadowRoot.querySelector('.star').dispatchEvent(new MouseEvent('click', { bubbles: true, composed: true }));
+
+        expect(field.stars).toHaveLength(2);
+        expect(field.numChanges).toBe(1);
+    });
+
+    test('should find fields added inside shadow roots after init', async () => {
+        document.body.innerHTML = '<form><div class="host"></div></form>';
+        const shadowRoot = document.querySelector('.host').attachShadow({ mode: 'open' });
+        await start(RatingField);
+
+        shadowRoot.innerHTML = '<div class="formulate-input-element--rating-container" data-name="rating"><span class="star"></span></div>';
+        await Promise.resolve();
+        jest.runOnlyPendingTimers();
+
+        expect(tracker.fields.map(field => field.fieldName)).toEqual(['rating']);
+    });
+
+    test('should skip fields inside the shadow root of an ignored host', async () => {
+        document.body.innerHTML = '<form><div class="host" data-matomo-ignore></div></form>';
+        document.querySelector('.host').attachShadow({ mode: 'open' }).innerHTML =
+            '<div class="formulate-input-element--rating-container" data-name="rating"><span class="star"></span></div>';
+        await start(RatingField);
+
+        expect(tracker.fields).toHaveLength(0);
+    });
+});
+
+describe('Privacy', () => {
+    let instance;
+    let tracker;
+
+    const startTracker = async (options = {}) => {
+        instance = createCustomFieldTracker({
+            fields: [{ fieldType: 'rating', FieldClass: RatingField }],
+            logLevel: 'silent',
+            ...options
+        });
+        instance.init();
+        jest.runOnlyPendingTimers();
+        await flushPromises();
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        tracker = createTracker();
+        window.Piwik = { FormAnalytics: { element: { findFormTrackerInstance: () => tracker } } };
+    });
+
+    afterEach(() => {
+        instance.destroy();
+        jest.useRealTimers();
+        delete window.Piwik;
+        delete window._paq;
+        document.body.innerHTML = '';
+    });
+
+    test('should wait for consent granted through the API and stop when it is revoked', async () => {
+        renderForm();
+        await startTracker({ consent: 'manual' });
+        expect(tracker.fields).toHaveLength(0);
+
+        instance.grantConsent();
+        jest.runOnlyPendingTimers();
+        await flushPromises();
+        expect(tracker.fields).toHaveLength(1);
+
+        instance.revokeConsent();
+        expect(tracker.fields).toHaveLength(0);
+        expect(instance.attachedForms.size).toBe(0);
+    });
+
+    test('should follow the consent commands pushed to Matomo', async () => {
+        renderForm();
+        window._paq = [['requireConsent'], ['trackPageView']];
+        await startTracker({ consent: 'matomo' });
+        expect(instance.hasConsent()).toBe(false);
+
+        window._paq.push(['rememberConsentGiven']);
+        jest.runOnlyPendingTimers();
+        await flushPromises();
+        expect(tracker.fields).toHaveLength(1);
+
+        window._paq.push(['forgetConsentGiven']);
+        expect(tracker.fields).toHaveLength(0);
+    });
+
+    test('should skip ignored fields and report no size for sensitive ones', async () => {
+        document.body.innerHTML = `<form>
+            <div data-matomo-ignore><div class="formulate-input-element--rating-container" data-name="hidden"><span class="star is-selected"></span></div></div>
+            <div class="formulate-input-element--rating-container" data-name="note" data-matomo-sensitive><span class="star"></span></div>
+            <div class="formulate-input-element--rating-container" data-name="rating"><span class="star is-selected"></span></div>
+        </form>`;
+        await startTracker();
+
+        expect(tracker.fields.map(field => [field.fieldName, field.getTrackingParams().fa_fs])).toEqual([
+            ['note', 0],
+            ['rating', 1]
+        ]);
+        // Not even the blank flag tells whether the sensitive field was filled
+        expect(tracker.fields[0].isBlank()).toBe(true);
+        expect(tracker.fields[0].getTrackingParams().fa_fb).toBe(0);
+
+        instance.configure({ privacyMode: true });
+        expect(tracker.fields[1].getTrackingParams().fa_fs).toBe(0);
+    });
+});
+
+describe('Form submission', () => {
+    let instance;
+    let tracker;
+
+    const startTracker = async (options = {}) => {
+        instance = createCustomFieldTracker({
+            fields: [{ fieldType: 'rating', FieldClass: RatingField }],
+            logLevel: 'silent',
+            ...options
+        });
+        instance.init();
+        jest.runOnlyPendingTimers();
+        await flushPromises();
+    };
+
+    const renderContainer = () => {
+        document.body.innerHTML = `<div data-matomo-form>
+            <div class="formulate-input-element--rating-container" data-name="rating">
+                <span class="star"></span><span class="star"></span>
+            </div>
+            <button type="button" class="finish">Send</button>
+        </div>`;
+        return document.querySelector('[data-matomo-form]');
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        tracker = createTracker();
+        window.Piwik = { FormAnalytics: { element: { findFormTrackerInstance: () => tracker } } };
+    });
+
+    afterEach(() => {
+        instance.destroy();
+        jest.useRealTimers();
+        delete window.Piwik;
+        delete window._paq;
+        document.body.innerHTML = '';
+    });
+
+    test('should track submit events and button clicks on form containers once', async () => {
+        const container = renderContainer();
+        tracker.trackFormSubmit = jest.fn();
+        await startTracker({ submitButtonSelector: '.finish', trackConversion: true });
+        const onSubmitted = jest.fn();
+        instance.on('form:submitted', onSubmitted);
+        const [field] = instance.attachedForms.get(container).fields;
+        field.numChanges = 2;
+
+        container.querySelector('.finish').click();
+        container.querySelector('.finish').dispatchEvent(new Event('submit', { bubbles: true }));
+
+        expect(tracker.trackFormSubmit).toHaveBeenCalledTimes(1);
+        expect(field.numChanges).toBe(0);
+        expect(onSubmitted).toHaveBeenCalledWith({ form: container, tracker, trigger: 'button' });
+        expect(window._paq).toEqual([['FormAnalytics::trackFormConversion', '', '']]);
+    });
+
+    test('should leave button clicks in native forms to FormAnalytics', async () => {
+        document.body.innerHTML = `<form>
+            <div class="formulate-input-element--rating-container" data-name="rating"><span class="star"></span></div>
+            <button type="button" class="finish">Send</button>
+        </form>`;
+        tracker.trackFormSubmit = jest.fn();
+        await startTracker({ submitButtonSelector: '.finish' });
+
+        document.querySelector('.finish').click();
+
+        expect(tracker.trackFormSubmit).not.toHaveBeenCalled();
+    });
+
+    test('should track submissions once their promise resolves', async () => {
+        const container = renderContainer();
+        container.id = 'survey';
+        await startTracker({ submitEvent: 'survey:sent', features: { submissionDetection: false } });
+
+        await expect(instance.trackSubmission(container, Promise.reject(new Error('offline')))).resolves.toBe(false);
+        expect(window._paq).toBeUndefined();
+
+        await expect(instance.trackSubmission(container, Promise.resolve({ ok: true }))).resolves.toBe(true);
+        container.dispatchEvent(new CustomEvent('survey:sent'));
+        jest.advanceTimersByTime(1000);
+        await expect(instance.trackSubmission(document.createElement('div'))).resolves.toBe(false);
+
+        expect(window._paq).toEqual([['FormAnalytics::trackFormSubmit', container]]);
+    });
+
+    test('should flush the custom fields of forms in progress on pagehide', async () => {
+        const container = renderContainer();
+        await startTracker();
+        const onAbandoned = jest.fn();
+        instance.on('form:abandoned', onAbandoned);
+
+        window.dispatchEvent(new Event('pagehide'));
+        expect(onAbandoned).not.toHaveBeenCalled();
+
+        const [field] = instance.attachedForms.get(container).fields;
+        field.onFocus();
+        jest.advanceTimersByTime(500);
+        window.dispatchEvent(new Event('pagehide'));
+
+        expect(field.startFocus).toBeNull();
+        expect(field.timespent).toBeGreaterThan(0);
+        expect(tracker.trackFieldUpdate).toHaveBeenCalledWith(field);
+        expect(tracker.scheduleSendUpdate).toHaveBeenCalled();
+        expect(onAbandoned).toHaveBeenCalledWith({ form: container, tracker });
+    });
+
+    test('should flush a form restored from the back/forward cache again only once it is used', async () => {
+        const container = renderContainer();
+        await startTracker();
+        const onAbandoned = jest.fn();
+        instance.on('form:abandoned', onAbandoned);
+        const [field] = instance.attachedForms.get(container).fields;
+        field.onFocus();
+
+        window.dispatchEvent(new Event('pagehide'));
+        window.dispatchEvent(new Event('pageshow'));
+        window.dispatchEvent(new Event('pagehide'));
+        expect(onAbandoned).toHaveBeenCalledTimes(1);
+
+        window.dispatchEvent(new Event('pageshow'));
+        field.onFocus();
+        window.dispatchEvent(new Event('pagehide'));
+        expect(onAbandoned).toHaveBeenCalledTimes(2);
+    });
+});
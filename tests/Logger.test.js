@@ -0,0 +1,65 @@
+import { Logger, createMemorySink } from '../src/Logger.js';
+import { LogLevels } from '../src/Enums/LogLevels.js';
+
+describe('Logger', () => {
+    test('should only write entries of enabled levels', () => {
+        const sink = createMemorySink();
+        const logger = new Logger({ level: LogLevels.WARN, sink });
+
+        logger.error('error');
+        logger.warn('warn');
+        logger.info('info');
+        logger.debug('debug');
+
+        expect(sink.entries.map(entry => entry.level)).toEqual(['error', 'warn']);
+    });
+
+    test('child loggers should add a namespace and share the level', () => {
+        const sink = createMemorySink();
+        const logger = new Logger({ level: LogLevels.ERROR, sink });
+        const child = logger.child('rating');
+
+        child.debug('hidden');
+        logger.setLevel(LogLevels.DEBUG);
+        child.debug('visible', 1);
+
+        expect(sink.entries).toHaveLength(1);
+        expect(sink.entries[0]).toEqual(expect.objectContaining({
+            level: 'debug',
+            namespace: 'rating',
+            args: ['visible', 1]
+        }));
+    });
+
+    test('SILENT should disable every level', () => {
+        const sink = createMemorySink();
+        const logger = new Logger({ level: LogLevels.SILENT, sink });
+
+        logger.error('error');
+
+        expect(logger.isLevelEnabled(LogLevels.ERROR)).toBe(false);
+        expect(sink.entries).toHaveLength(0);
+    });
+
+    test('should write to console-like objects', () => {
+        const target = { log: jest.fn(), warn: jest.fn(), error: jest.fn() };
+        const logger = new Logger({ level: LogLevels.TRACE, sink: target }).child('wysiwyg');
+
+        logger.error('failed');
+        logger.trace('details');
+
+        expect(target.error).toHaveBeenCalledWith('[wysiwyg]', 'failed');
+        expect(target.log).toHaveBeenCalledWith('[wysiwyg]', 'details');
+    });
+
+    test('memory sink should keep a bounded number of entries', () => {
+        const sink = createMemorySink(2);
+        const logger = new Logger({ level: LogLevels.INFO, sink });
+
+        logger.info('one');
+        logger.info('two');
+        logger.info('three');
+
+        expect(sink.entries.map(entry => entry.args[0])).toEqual(['two', 'three']);
+    });
+});
@@ -0,0 +1,74 @@
+import { getOpenShadowRoots, querySelectorAllDeep, querySelectorDeep, containsDeep, closestDeep, getEventTarget } from '../src/ShadowDom.js';
+
+const renderHost = () => {
+    document.body.innerHTML = '<form><span class="star light"></span><div class="host"></div></form>';
+    const host = document.querySelector('.host');
+    host.attachShadow({ mode: 'open' }).innerHTML = '<span class="star"></span><div class="nested"></div>';
+
+    const nested = host.shadowRoot.querySelector('.nested');
+    nested.attachShadow({ mode: 'open' }).innerHTML = '<span class="star deep"></span>';
+
+    return { form: document.querySelector('form'), host, nested };
+};
+
+describe('ShadowDom', () => {
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    test('should query through nested open shadow roots', () => {
+        const { form, host, nested } = renderHost();
+
+        expect(getOpenShadowRoots(form)).toEqual([host.shadowRoot, nested.shadowRoot]);
+        expect(querySelectorAllDeep(form, '.star')).toHaveLength(3);
+        expect(querySelectorDeep(host, '.deep')).toBe(nested.shadowRoot.querySelector('.deep'));
+        expect(querySelectorDeep(form, '.star').classList.contains('light')).toBe(true);
+    });
+
+    test('should not see closed shadow roots', () => {
+        document.body.innerHTML = '<div></div>';
+        document.body.firstElementChild.attachShadow({ mode: 'closed' }).innerHTML = '<span class="star"></span>';
+
+        expect(querySelectorAllDeep(document.body, '.star')).toHaveLength(0);
+    });
+
+    test('should check containment across shadow boundaries', () => {
+        const { form, host, nested } = renderHost();
+        const deepStar = nested.shadowRoot.querySelector('.deep');
+
+        expect(containsDeep(host, deepStar)).toBe(true);
+        expect(containsDeep(form, deepStar)).toBe(true);
+        expect(containsDeep(form.querySelector('.light'), deepStar)).toBe(false);
+        expect(containsDeep(host, null)).toBe(false);
+    });
+
+    test('should reuse shadow roots collected for several queries', () => {
+        const { form, host } = renderHost();
+        const shadowRoots = getOpenShadowRoots(form);
+
+        expect(querySelectorAllDeep(form, '.star', shadowRoots)).toHaveLength(3);
+        expect(querySelectorAllDeep(form, '.star', [host.shadowRoot])).toHaveLength(2);
+        expect(querySelectorDeep(form, '.deep', shadowRoots)).not.toBeNull();
+        expect(querySelectorDeep(form, '.deep', [])).toBeNull();
+    });
+
+    test('should find the closest ancestor across shadow boundaries', () => {
+        const { form, nested } = renderHost();
+        const deepStar = nested.shadowRoot.querySelector('.deep');
+
+        expect(closestDeep(deepStar, 'form')).toBe(form);
+        expect(closestDeep(deepStar, '.nested')).toBe(nested);
+        expect(closestDeep(deepStar, '.missing')).toBeNull();
+    });
+
+    test('should get the original target of retargeted events', () => {
+        const { host } = renderHost();
+        const star = host.shadowRoot.querySelector('.star');
+        const targets = [];
+        host.addEventListener('click', event => targets.push(event.target, getEventTarget(event)));
+
+        star.dispatchEvent(new MouseEvent('click', { bubbles: true, composed: true }));
+
+        expect(targets).toEqual([host, star]);
+    });
+});
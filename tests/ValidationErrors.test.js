@@ -0,0 +1,136 @@
+import { createMatomoValidationReporter } from '../src/ValueReporter.js';
+import { ValidationErrorCodes } from '../src/Enums/ValidationErrorCodes.js';
+import { TrackerEvents } from '../src/Enums/TrackerEvents.js';
+import { RatingField } from '../src/fields/index.js';
+import { createCustomFieldTracker } from '../src/FormAnalyticsCustomFieldTracker.js';
+import { createTracker } from './helpers.js';
+
+const renderRating = () => {
+    document.body.innerHTML = `<div class="formulate-input">
+        <div class="rating" data-name="stay">
+            ${[1, 2, 3].map(value => `<span class="star" data-rating-value="${value}"></span>`).join('')}
+        </div>
+        <div class="formulate-input-error"></div>
+    </div>`;
+    return document.querySelector('.rating');
+};
+
+/**
+ * Lets MutationObserver callbacks run
+ */
+const flushMutations = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Validation errors', () => {
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    test('should count reported errors per code and send them to Matomo', () => {
+        const field = new RatingField(createTracker(), renderRating(), 'stay');
+        const onError = jest.fn();
+        const paq = [];
+        field.on(TrackerEvents.FIELD_VALIDATION_ERROR, onError);
+        const stop = createMatomoValidationReporter(field, { category: 'Survey Errors', paq });
+
+        field.reportValidationError(ValidationErrorCodes.REQUIRED, 'Please rate your stay');
+        field.reportValidationError();
+        stop();
+        field.reportValidationError(ValidationErrorCodes.REQUIRED);
+
+        expect(field.numValidationErrors).toBe(3);
+        expect(field.validationErrors).toEqual({ required: 2, invalid: 1 });
+        expect(onError).toHaveBeenCalledWith({ field, code: 'required', message: 'Please rate your stay' });
+        expect(paq).toEqual([
+            ['trackEvent', 'Survey Errors', 'stay', 'required'],
+            ['trackEvent', 'Survey Errors', 'stay', 'invalid']
+        ]);
+    });
+
+    test('should detect error messages in the validation scope once per message', async () => {
+        const field = new RatingField(createTracker(), renderRating(), 'stay');
+        const container = document.querySelector('.formulate-input-error');
+        field.setupValidationObserver();
+
+        container.setAttribute('data-matomo-error', ValidationErrorCodes.REQUIRED);
+        container.textContent = 'Please rate your stay';
+        await flushMutations();
+        container.setAttribute('class', 'formulate-input-error is-shown');
+        await flushMutations();
+        container.textContent = '';
+        await flushMutations();
+        container.textContent = 'Please rate your stay';
+        await flushMutations();
+
+        expect(field.validationErrors).toEqual({ required: 2 });
+
+        field.destroy();
+        container.textContent = 'Still required';
+        await flushMutations();
+
+        expect(field.numValidationErrors).toBe(2);
+    });
+
+    test('should only check mutations of error containers and aria-invalid, once per batch', async () => {
+        const element = renderRating();
+        const field = new RatingField(createTracker(), element, 'stay');
+        field.setupValidationObserver();
+        const checkValidation = jest.spyOn(field, 'checkValidation');
+
+        element.querySelector('.star').textContent = '★';
+        element.setAttribute('class', 'rating is-hovered');
+        await flushMutations();
+        expect(checkValidation).not.toHaveBeenCalled();
+
+        const container = document.querySelector('.formulate-input-error');
+        container.textContent = 'Please rate your stay';
+        container.classList.add('is-shown');
+        element.setAttribute('aria-invalid', 'true');
+        await flushMutations();
+        expect(checkValidation).toHaveBeenCalledTimes(1);
+        expect(field.numValidationErrors).toBe(1);
+    });
+
+    test('should detect errors on tracked fields once a handler listens for them', async () => {
+        const tracker = createTracker();
+        window.Piwik = { FormAnalytics: { element: { findFormTrackerInstance: () => tracker } } };
+        document.body.innerHTML = `<form><div class="formulate-input">
+            <div class="formulate-input-element--rating-container" data-name="stay"><span class="star"></span></div>
+            <div class="formulate-input-error"></div>
+        </div></form>`;
+        const instance = createCustomFieldTracker({ fields: [{ fieldType: 'rating', FieldClass: RatingField }], trackerLookupDelay: 0 });
+        instance.init();
+        await flushMutations();
+        const container = document.querySelector('.formulate-input-error');
+
+        container.textContent = 'Please rate your stay';
+        await flushMutations();
+        expect(tracker.fields[0].numValidationErrors).toBe(0);
+
+        const onError = jest.fn();
+        instance.on(TrackerEvents.FIELD_VALIDATION_ERROR, onError);
+        container.textContent = 'Still required';
+        await flushMutations();
+
+        expect(onError).toHaveBeenCalledTimes(2);
+        expect(tracker.fields[0].validationErrors).toEqual({ invalid: 2 });
+        instance.destroy();
+        delete window.Piwik;
+    });
+
+    test('should detect aria-invalid on the field and report errors shown before setup', async () => {
+        const element = renderRating();
+        element.setAttribute('aria-invalid', 'true');
+        element.setAttribute('data-matomo-error', ValidationErrorCodes.FORMAT);
+        const field = new RatingField(createTracker(), element, 'stay');
+        field.setupValidationObserver();
+
+        expect(field.getValidationError()).toEqual({ code: 'format', message: '' });
+
+        element.setAttribute('aria-invalid', 'false');
+        await flushMutations();
+        element.setAttribute('aria-invalid', 'true');
+        await flushMutations();
+
+        expect(field.validationErrors).toEqual({ format: 2 });
+    });
+});
@@ -0,0 +1,117 @@
+import { hashValue, bucketValue, formatCapturedValue, DEFAULT_VALUE_CAPTURE } from '../src/ValueCapture.js';
+import { createMatomoValueReporter } from '../src/ValueReporter.js';
+import { ValueCaptureModes } from '../src/Enums/ValueCaptureModes.js';
+import { TrackerEvents } from '../src/Enums/TrackerEvents.js';
+import { RatingField } from '../src/fields/index.js';
+import { createTracker } from './helpers.js';
+
+const renderRating = () => {
+    document.body.innerHTML = `<div data-name="satisfaction">
+        ${[1, 2, 3, 4, 5].map(value => `<span class="star" data-rating-value="${value}"></span>`).join('')}
+    </div>`;
+    return document.body.firstElementChild;
+};
+
+/**
+ * Selects a rating in the widget and completes a click cycle on it
+ */
+const rate = (element, rating) => {
+    element.querySelectorAll('.star').forEach((star, index) => {
+        star.classList.toggle('is-selected', index < rating);
+    });
+    element.children[rating - 1].click();
+    jest.runOnlyPendingTimers();
+};
+
+describe('Value capture', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        document.body.innerHTML = '';
+    });
+
+    test('should hash, bucket and serialize values', () => {
+        expect(hashValue('blue')).toMatch(/^[0-9a-f]{8}$/);
+        expect(hashValue('blue')).toBe(hashValue('blue'));
+        expect(hashValue('blue', 'salt')).not.toBe(hashValue('blue'));
+
+        expect(bucketValue(2, [2, 4])).toBe('<=2');
+        expect(bucketValue('5', [2, 4])).toBe('>4');
+        expect(bucketValue('n/a', [2, 4])).toBe('other');
+
+        const options = { ...DEFAULT_VALUE_CAPTURE };
+        expect(formatCapturedValue(['a', 'b'], options)).toBe('a,b');
+        expect(formatCapturedValue('', options)).toBeNull();
+        expect(formatCapturedValue(3, { ...options, mode: ValueCaptureModes.BUCKET, buckets: [3] })).toBe('<=3');
+    });
+
+    test('should leave fields that do not opt in unaffected', () => {
+        const field = new RatingField(createTracker(), renderRating(), 'satisfaction');
+        const onValue = jest.fn();
+        field.on(TrackerEvents.FIELD_VALUE, onValue);
+        field.setupEventListeners();
+
+        rate(field.element, 5);
+
+        expect(field.getValueSnapshot()).toBeNull();
+        expect(field.valueHistory).toEqual([]);
+        expect(onValue).not.toHaveBeenCalled();
+    });
+
+    test('should record a bounded history of the values a user settled on', () => {
+        const CapturedRating = RatingField.configure({ valueCapture: { historyLimit: 2 } });
+        const field = new CapturedRating(createTracker(), renderRating(), 'satisfaction');
+        field.setupEventListeners();
+
+        rate(field.element, 5);
+        rate(field.element, 2);
+        rate(field.element, 4);
+        rate(field.element, 4);
+
+        expect(field.getValueSnapshot()).toEqual({ value: '4', history: ['2', '4'], changes: 2 });
+        expect(RatingField.valueCapture).toBeNull();
+    });
+
+    test('should keep the snapshot and sensitivity of retired fields', () => {
+        const CapturedRating = RatingField.configure({ valueCapture: {} });
+        const field = new CapturedRating(createTracker(), renderRating(), 'satisfaction');
+        field.setupEventListeners();
+        rate(field.element, 3);
+        field.retire();
+
+        expect(field.isSensitive()).toBe(false);
+        expect(field.captureValue()).toBe(false);
+        expect(field.getValueSnapshot()).toEqual({ value: '3', history: ['3'], changes: 0 });
+
+        const element = renderRating();
+        element.setAttribute('data-matomo-sensitive', '');
+        const sensitiveField = new CapturedRating(createTracker(), element, 'satisfaction');
+        sensitiveField.retire();
+
+        expect(sensitiveField.isSensitive()).toBe(true);
+        expect(sensitiveField.getValueSnapshot()).toBeNull();
+    });
+
+    test('should report recorded values to Matomo as events and custom dimensions', () => {
+        const CapturedRating = RatingField.configure({ valueCapture: { mode: ValueCaptureModes.BUCKET, buckets: [2, 4] } });
+        const field = new CapturedRating(createTracker(), renderRating(), 'satisfaction');
+        const paq = [];
+        const stop = createMatomoValueReporter(field, { category: 'Survey', dimensions: { satisfaction: 3 }, paq });
+        field.setupEventListeners();
+
+        rate(field.element, 5);
+        rate(field.element, 1);
+        stop();
+        rate(field.element, 3);
+
+        expect(paq).toEqual([
+            ['setCustomDimension', 3, '>4'],
+            ['trackEvent', 'Survey', 'satisfaction', '>4', 0],
+            ['setCustomDimension', 3, '<=2'],
+            ['trackEvent', 'Survey', 'satisfaction', '<=2', 1]
+        ]);
+    });
+});
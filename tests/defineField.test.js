@@ -0,0 +1,125 @@
+import { defineField } from '../src/defineField.js';
+import { DeclarativeField } from '../src/fields/index.js';
+import { FieldCategories } from '../src/Enums/FieldCategories.js';
+import { createTracker } from './helpers.js';
+
+const render = (html) => {
+    document.body.innerHTML = html;
+    return document.body.firstElementChild;
+};
+
+describe('defineField', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        document.body.innerHTML = '';
+    });
+
+    test('should reject incomplete definitions', () => {
+        expect(() => defineField({ fieldType: 'cta', category: FieldCategories.SELECTABLE })).toThrow('requires fieldType and selector');
+        expect(() => defineField({ fieldType: 'cta', category: 'FIELD_NOPE', selector: '.cta' })).toThrow('invalid category');
+        expect(() => defineField({ fieldType: 'cta', category: FieldCategories.TEXT, selector: '.cta', events: 'hover' })).toThrow('unknown event mode');
+    });
+
+    test('should count clicks on the interactive element in click mode', () => {
+        const CtaField = defineField({
+            fieldType: 'cta',
+            category: FieldCategories.SELECTABLE,
+            selector: '.cta[data-name]',
+            interactive: '.cta__button',
+            events: 'click'
+        });
+        const element = render('<div class="cta" data-name="cta"><button class="cta__button">Go</button><span>Note</span></div>');
+        const field = new CtaField(createTracker(), element, 'cta');
+        field.setupEventListeners();
+
+        element.querySelector('span').click();
+        expect(field.isBlank()).toBe(true);
+
+        element.querySelector('button').click();
+        jest.runOnlyPendingTimers();
+
+        expect(field.getFieldSize()).toBe(1);
+        expect(field.getTrackingParams()).toMatchObject({ fa_ft: 'cta', fa_ff: 1, fa_fch: 1 });
+    });
+
+    test('should measure the size with a selector or a function', () => {
+        const element = render('<div class="chips" data-name="chips"><i aria-checked="true"></i><i aria-checked="true"></i><i></i></div>');
+        const ChipsField = defineField({
+            fieldType: 'chips',
+            category: FieldCategories.CHECKABLE,
+            selector: '.chips[data-name]',
+            size: '[aria-checked="true"]'
+        });
+        const NoteField = defineField({
+            fieldType: 'note',
+            category: FieldCategories.TEXT,
+            selector: '.chips[data-name]',
+            size: field => field.element.children.length,
+            blank: () => true
+        });
+
+        expect(new ChipsField(createTracker(), element, 'chips').getFieldSize()).toBe(2);
+        const note = new NoteField(createTracker(), element, 'note');
+        expect(note.getFieldSize()).toBe(3);
+        expect(note.isBlank()).toBe(true);
+    });
+
+    test('should set up handlers from an event map', () => {
+        const onInput = jest.fn();
+        const TextField = defineField({
+            fieldType: 'note',
+            category: FieldCategories.TEXT,
+            selector: '.note[data-name]',
+            interactive: 'textarea',
+            events: { input: (field) => { onInput(field); field.trackFirstInteraction(); field.onChange(); } }
+        });
+        const element = render('<div class="note" data-name="note"><textarea>abc</textarea></div>');
+        const field = new TextField(createTracker(), element, 'note');
+        field.setupEventListeners();
+
+        element.querySelector('textarea').dispatchEvent(new Event('input'));
+
+        expect(onInput).toHaveBeenCalledWith(field);
+        expect(field.numChanges).toBe(1);
+        expect(field.getFieldSize()).toBe(3);
+    });
+
+    test('should keep the focus while it moves inside the shadow root of the element', () => {
+        const SearchField = defineField({ fieldType: 'search', category: FieldCategories.TEXT, selector: 'x-search' });
+        const element = render('<x-search data-name="q"></x-search>');
+        element.attachShadow({ mode: 'open' }).innerHTML = '<input class="query"><button class="clear"></button>';
+        const field = new SearchField(createTracker(), element, 'q');
+        field.setupEventListeners();
+
+        // Focus moving from the input to the button is retargeted to the host on both ends
+        element.dispatchEvent(new FocusEvent('focus'));
+        element.dispatchEvent(new FocusEvent('blur', { relatedTarget: element }));
+        element.dispatchEvent(new FocusEvent('focus', { relatedTarget: element }));
+        expect(field.numFocus).toBe(1);
+        expect(field.startFocus).not.toBeNull();
+
+        element.dispatchEvent(new FocusEvent('blur'));
+        expect(field.startFocus).toBeNull();
+    });
+
+    test('DeclarativeField should read its definition from data attributes', () => {
+        const element = render(`<div data-matomo-field="rating" data-name="satisfaction" data-matomo-category="checkable"
+            data-matomo-interactive=".star" data-matomo-size="[aria-checked=true]">
+            <span class="star" aria-checked="true"></span><span class="star"></span>
+        </div>`);
+        const field = new DeclarativeField(createTracker(), element, 'satisfaction');
+        field.setupEventListeners();
+
+        element.querySelectorAll('.star')[1].click();
+        jest.runOnlyPendingTimers();
+
+        expect(field.fieldType).toBe('rating');
+        expect(field.category).toBe(FieldCategories.CHECKABLE);
+        expect(field.getFieldSize()).toBe(1);
+        expect(field.numChanges).toBe(1);
+    });
+});
@@ -0,0 +1,300 @@
+import {
+    WysiwygField,
+    QuillField,
+    TinyMceField,
+    RatingField,
+    ImageSelectorField,
+    SignatureField,
+    FileDropField
+} from '../src/fields/index.js';
+import { createTracker } from './helpers.js';
+
+const render = (html) => {
+    document.body.innerHTML = html;
+    return document.body.firstElementChild;
+};
+
+describe('Built-in fields', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        document.body.innerHTML = '';
+    });
+
+    test('WysiwygField should find any supported editor and measure its text', () => {
+        const element = render('<div class="wysiwyg" data-name="bio"><div class="ql-editor" contenteditable="true">Hello</div></div>');
+        const field = new WysiwygField(createTracker(), element, 'bio');
+
+        expect(field.editor).not.toBeNull();
+        expect(field.getFieldSize()).toBe(5);
+        expect(field.isBlank()).toBe(false);
+    });
+
+    test('WysiwygField should attach to an editor mounted after the container', async () => {
+        const element = render('<div class="ql-container" data-name="bio"></div>');
+        const field = new QuillField(createTracker(), element, 'bio');
+        field.setupEventListeners();
+
+        expect(field.editor).toBeNull();
+        element.innerHTML = '<div class="ql-editor" contenteditable="true"></div>';
+        await Promise.resolve();
+
+        expect(field.editor).toBe(element.firstElementChild);
+    });
+
+    test('TinyMceField should track a classic editor inside its iframe and rebind on reload', () => {
+        const element = render('<div class="tinymce" data-name="bio"><iframe id="bio_ifr"></iframe></div>');
+        const frame = element.querySelector('iframe');
+        frame.contentDocument.body.innerHTML = 'Hi';
+        frame.contentDocument.body.setAttribute('contenteditable', 'true');
+
+        const field = new TinyMceField(createTracker(), element, 'bio');
+        const onChange = jest.spyOn(field, 'onChange');
+        field.setupEventListeners();
+
+        expect(field.editor).toBe(frame.contentDocument.body);
+        expect(field.getFieldSize()).toBe(2);
+
+        frame.dispatchEvent(new Event('load'));
+        field.editor.dispatchEvent(new Event('input'));
+        expect(onChange).toHaveBeenCalledTimes(1);
+
+        field.destroy();
+        frame.contentDocument.body.dispatchEvent(new Event('input'));
+        expect(onChange).toHaveBeenCalledTimes(1);
+    });
+
+    test('WysiwygField should count paste, cut, undo and composition input', () => {
+        const element = render('<div class="wysiwyg" data-name="bio"><div class="ql-editor" contenteditable="true"></div></div>');
+        const field = new WysiwygField(createTracker(), element, 'bio');
+        field.setupEventListeners();
+        const type = (inputType) => {
+            field.editor.dispatchEvent(new InputEvent('beforeinput', { inputType }));
+            field.editor.dispatchEvent(new InputEvent('input', { inputType }));
+        };
+
+        field.editor.dispatchEvent(new FocusEvent('focus'));
+        type('insertText');
+        type('insertFromPaste');
+        type('deleteByCut');
+        type('historyUndo');
+        field.editor.dispatchEvent(new CompositionEvent('compositionstart'));
+        field.editor.dispatchEvent(new CompositionEvent('compositionend'));
+
+        expect(field.inputCounts).toMatchObject({ paste: 1, cut: 1, undo: 1, composition: 1, autofill: 0 });
+        expect(field.numChanges).toBe(1);
+        expect(field.numDeletes).toBe(0);
+    });
+
+    test('WysiwygField should not count spellcheck replacements as autofill', () => {
+        const element = render('<div class="wysiwyg" data-name="bio"><div class="ql-editor" contenteditable="true"></div></div>');
+        const field = new WysiwygField(createTracker(), element, 'bio');
+        field.setupEventListeners();
+        const replace = (isAnnounced) => {
+            if (isAnnounced) {
+                field.editor.dispatchEvent(new InputEvent('beforeinput', { inputType: 'insertReplacementText' }));
+            }
+            field.editor.dispatchEvent(new InputEvent('input', { inputType: 'insertReplacementText' }));
+        };
+
+        field.editor.dispatchEvent(new FocusEvent('focus'));
+        replace(true);
+        replace(true);
+        replace(false);
+
+        expect(field.inputCounts.autofill).toBe(1);
+    });
+
+    test('WysiwygField should fold input kinds into changes and deletions when enabled', () => {
+        const FoldingField = WysiwygField.configure();
+        FoldingField.foldInputCounts = true;
+        const element = render('<div class="wysiwyg" data-name="bio"><div class="ql-editor" contenteditable="true"></div></div>');
+        const field = new FoldingField(createTracker(), element, 'bio');
+        field.setupEventListeners();
+        const type = (inputType) => {
+            field.editor.dispatchEvent(new InputEvent('beforeinput', { inputType }));
+            field.editor.dispatchEvent(new InputEvent('input', { inputType }));
+        };
+
+        field.editor.dispatchEvent(new FocusEvent('focus'));
+        type('insertText');
+        type('insertFromPaste');
+        // Autofill replaces the text without a beforeinput
+        field.editor.dispatchEvent(new InputEvent('input', { inputType: 'insertReplacementText' }));
+        type('deleteByCut');
+
+        expect(field.inputCounts).toMatchObject({ paste: 1, autofill: 1, cut: 1 });
+        expect(field.numChanges).toBe(3);
+        expect(field.numDeletes).toBe(1);
+    });
+
+    test('RatingField should read star and emoji ratings from the DOM', () => {
+        const stars = render(`<div data-name="stars">
+            <span class="star is-selected"></span><span class="star is-selected"></span><span class="star"></span>
+        </div>`);
+        expect(new RatingField(createTracker(), stars, 'stars').getFieldSize()).toBe(2);
+
+        const emojis = render(`<div data-name="mood">
+            <span data-rating-value="1"></span><span data-rating-value="5" aria-checked="true"></span>
+        </div>`);
+        expect(new RatingField(createTracker(), emojis, 'mood').getFieldSize()).toBe(5);
+    });
+
+    test('RatingField should track a lowered rating as a deletion on blur', () => {
+        const element = render(`<div data-name="stars">
+            <span class="star is-selected"></span><span class="star is-selected"></span>
+        </div>`);
+        const field = new RatingField(createTracker(), element, 'stars');
+        field.setupEventListeners();
+
+        element.children[1].classList.remove('is-selected');
+        element.children[0].click();
+        jest.runAllTimers();
+
+        expect(field.numChanges).toBe(1);
+        expect(field.numDeletes).toBe(1);
+        expect(field.lastRating).toBe(1);
+    });
+
+    test('RatingField should not count the delayed blur of items that cannot be focused as time spent', () => {
+        const element = render(`<div data-name="stars">
+            <span class="star"></span><span class="star"></span>
+        </div>`);
+        const field = new RatingField(createTracker(), element, 'stars');
+        field.setupEventListeners();
+
+        element.children[1].dispatchEvent(new Event('pointerdown', { bubbles: true }));
+        element.children[1].click();
+        jest.runAllTimers();
+
+        expect(field.startFocus).toBeNull();
+        expect(field.getTrackingParams()).toMatchObject({ fa_fts: 1, fa_fch: 1 });
+        field.destroy();
+
+        const visited = new RatingField(createTracker(), element, 'stars');
+        visited.setupEventListeners();
+        element.children[0].dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+        jest.advanceTimersByTime(300);
+        element.children[0].dispatchEvent(new FocusEvent('focusout', { bubbles: true }));
+        jest.runAllTimers();
+
+        expect(visited.getTimeSpent()).toBe(300);
+    });
+
+    test('RatingField should track keyboard focus sessions until the focus leaves', () => {
+        const element = render(`<div data-name="stars">
+            <span class="star" tabindex="0"></span><span class="star" tabindex="-1"></span>
+        </div><button class="next"></button>`);
+        const field = new RatingField(createTracker(), element, 'stars');
+        field.setupEventListeners();
+        const [first, second] = element.children;
+        const keydown = key => second.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+
+        first.dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+        jest.advanceTimersByTime(2000);
+        first.dispatchEvent(new FocusEvent('focusout', { bubbles: true, relatedTarget: second }));
+        second.dispatchEvent(new FocusEvent('focusin', { bubbles: true, relatedTarget: first }));
+        keydown('ArrowRight');
+        keydown(' ');
+        jest.advanceTimersByTime(1000);
+
+        expect(field.numFocus).toBe(1);
+        expect(field.numChanges).toBe(1);
+        expect(field.numCursor).toBe(1);
+        expect(field.getHesitationTime()).toBe(2000);
+        expect(field.startFocus).not.toBeNull();
+
+        second.dispatchEvent(new FocusEvent('focusout', { bubbles: true, relatedTarget: document.querySelector('.next') }));
+        expect(field.startFocus).toBeNull();
+        expect(field.getTimeSpent()).toBe(3000);
+    });
+
+    test('ImageSelectorField should start the session on pointerdown and count a label click once', () => {
+        const element = render(`<div class="image-selector" data-name="pets">
+            <label class="image-selector__item" data-value="cat"><input type="checkbox"></label>
+        </div>`);
+        const field = new ImageSelectorField(createTracker(), element, 'pets');
+        field.setupEventListeners();
+        const item = element.querySelector('label');
+
+        item.dispatchEvent(new Event('pointerdown', { bubbles: true }));
+        jest.advanceTimersByTime(500);
+        item.click();
+        jest.runAllTimers();
+
+        expect(field.numChanges).toBe(1);
+        expect(field.getHesitationTime()).toBe(500);
+        expect(field.getTimeSpent()).toBe(500);
+        expect(field.getFieldSize()).toBe(1);
+        expect(field.startFocus).toBeNull();
+    });
+
+    test('ImageSelectorField should report selected images and values', () => {
+        const element = render(`<div class="image-selector" data-name="pets">
+            <label class="image-selector__item" data-value="cat"><input type="checkbox" checked></label>
+            <label class="image-selector__item" data-value="dog"><input type="checkbox"></label>
+            <label class="image-selector__item is-selected" data-value="fish"></label>
+        </div>`);
+        const field = new ImageSelectorField(createTracker(), element, 'pets');
+
+        expect(field.getFieldSize()).toBe(2);
+        expect(field.getSelectedValue()).toBe('cat,fish');
+    });
+
+    test('SignatureField should count strokes and track clearing as a deletion', () => {
+        const element = render('<div class="signature-pad" data-name="sign"><canvas></canvas><button data-action="clear"></button></div>');
+        const field = new SignatureField(createTracker(), element, 'sign');
+        field.setupEventListeners();
+
+        const canvas = element.querySelector('canvas');
+        canvas.dispatchEvent(new Event('pointerdown'));
+        canvas.dispatchEvent(new Event('pointerup'));
+        expect(field.getFieldSize()).toBe(1);
+
+        element.querySelector('button').click();
+        expect(field.isBlank()).toBe(true);
+        expect(field.numDeletes).toBe(1);
+    });
+
+    test('FileDropField should end the session when the file dialog is cancelled', () => {
+        const element = render('<div class="file-drop" data-name="cv"><input type="file"></div>');
+        const field = new FileDropField(createTracker(), element, 'cv');
+        field.setupEventListeners();
+
+        element.click();
+        jest.advanceTimersByTime(2000);
+        expect(field.startFocus).not.toBeNull();
+
+        window.dispatchEvent(new FocusEvent('focus'));
+        jest.runAllTimers();
+
+        expect(field.startFocus).toBeNull();
+        expect(field.numChanges).toBe(0);
+        expect(field.getTimeSpent()).toBe(2100);
+    });
+
+    test('FileDropField should prefer rendered file entries for its size', () => {
+        const element = render('<div class="file-drop" data-name="cv"><div data-file></div><div data-file></div></div>');
+        const field = new FileDropField(createTracker(), element, 'cv');
+
+        expect(field.getFieldSize()).toBe(2);
+    });
+
+    test('configure() should create a subclass with overridden selectors', () => {
+        const SurveyRating = RatingField.configure({
+            fieldType: 'surveyRating',
+            selector: '.survey-rating[data-name]',
+            star: '.survey-rating__star'
+        });
+
+        expect(SurveyRating.fieldType).toBe('surveyRating');
+        expect(SurveyRating.category).toBe(RatingField.category);
+        expect(SurveyRating.selectors.star).toBe('.survey-rating__star');
+        expect(SurveyRating.selectors.selected).toBe(RatingField.selectors.selected);
+        expect(RatingField.selectors.star).not.toBe('.survey-rating__star');
+        expect(SurveyRating.name).toBe('RatingField');
+    });
+});
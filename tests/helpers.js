@@ -0,0 +1,15 @@
+// Shared test helpers
+
+/**
+ * Creates a stand-in for Matomo's FormTracker with the members fields touch
+ */
+export const createTracker = () => ({
+    fields: [],
+    fieldNodes: [],
+    lastFocusedFieldName: null,
+    exitFieldName: null,
+    entryFieldName: null,
+    setEngagedWithForm: jest.fn(),
+    trackFieldUpdate: jest.fn(),
+    scheduleSendUpdate: jest.fn()
+});